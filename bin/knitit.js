@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * Command-line front end to knitit.js. Prints the same results as the web
+ * calculators, as text or (with --json) as the raw calculation output.
+ *
+ *   knitit size --gauge 22 --pattern-gauge 20 --target 100 --sizes S=90,M=100
+ */
+import { parseArgs } from 'node:util';
+import { readFileSync } from 'node:fs';
+import {
+    LENGTH_UNITS, GAUGE_BASES, toCentimeters, toGaugePer10cm, formatLength,
+    formatSignedLength, roundTo, analyzeAllSizes, calculateAdjustedPickupRatio,
+    constrainPickupCount, findMinimalRepeat, calculateGaugeCombination, JOIN_MODES,
+    describeJoinRate, parseChart, calculateChartSize, calculateChartResize,
+    resampleChart, chartToText
+} from '../knitit.js';
+
+const USAGE = `Usage: knitit <command> [options]
+
+Commands:
+  size      Which pattern size knits up closest to your measurement
+              --gauge N --pattern-gauge N --target LENGTH
+              --sizes NAME=LENGTH[:ROWS],...
+              [--row-gauge N --pattern-row-gauge N]   convert ROWS to your row gauge
+  pickup    Pick-up along a straight edge, adjusted for your gauge
+              --gauge N --row-gauge N --pattern-gauge N --pattern-row-gauge N
+              --rate STITCHES/ROWS --rows N [--multiple N --offset N]
+  combine   Stitches to pick up for a border knit at a different gauge
+              --main-gauge N --border-gauge N --count N
+              [--along stitches|rows] [--main-row-gauge N]
+              [--join picked-up|sideways|seamed --border-row-gauge N]
+              [--join-every N]   sideways borders: join on every Nth row
+              [--extra double|increase]   how to make stitches beyond one per edge unit
+  chart     Knitted size of a colourwork chart, as a character grid or CSV file
+              --gauge N --row-gauge N --chart FILE
+              [--width LENGTH] [--height LENGTH]   redraw it to a finished size
+
+Options:
+  --units cm|in       Unit for lengths (default cm)
+  --per 10cm|4in|1in  Gauge basis (default 10cm, or 4in with --units in)
+  --json              Print the result as JSON, in cm and per 10cm
+  -h, --help          Show this help`;
+
+const OPTIONS = {
+    gauge: { type: 'string' },
+    'row-gauge': { type: 'string' },
+    'pattern-gauge': { type: 'string' },
+    'pattern-row-gauge': { type: 'string' },
+    target: { type: 'string' },
+    sizes: { type: 'string' },
+    rate: { type: 'string' },
+    rows: { type: 'string' },
+    multiple: { type: 'string' },
+    offset: { type: 'string' },
+    'main-gauge': { type: 'string' },
+    'main-row-gauge': { type: 'string' },
+    'border-gauge': { type: 'string' },
+    'border-row-gauge': { type: 'string' },
+    join: { type: 'string', default: 'picked-up' },
+    'join-every': { type: 'string' },
+    extra: { type: 'string', default: 'double' },
+    count: { type: 'string' },
+    chart: { type: 'string' },
+    width: { type: 'string' },
+    height: { type: 'string' },
+    along: { type: 'string', default: 'stitches' },
+    units: { type: 'string', default: 'cm' },
+    per: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const COMMANDS = { size: sizeCommand, pickup: pickupCommand, combine: combineCommand, chart: chartCommand };
+
+class UsageError extends Error {}
+
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        return fail(error.message);
+    }
+    
+    const { values, positionals } = parsed;
+    const command = COMMANDS[positionals[0]];
+    if (values.help || !positionals[0]) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!command) return fail(`Unknown command "${positionals[0]}"`);
+    
+    try {
+        const units = readUnits(values);
+        const result = command(values, units);
+        if (values.json) {
+            console.log(JSON.stringify({ units: { length: 'cm', gauge: 'per 10cm' }, ...result.data }, null, 2));
+        } else {
+            console.log(result.text.join('\n'));
+        }
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) return fail(error.message);
+        throw error;
+    }
+}
+
+function fail(message) {
+    console.error(`knitit: ${message}\nRun "knitit --help" for usage.`);
+    return 1;
+}
+
+function readUnits(values) {
+    const length = values.units;
+    if (!LENGTH_UNITS[length]) throw new UsageError(`--units must be one of ${Object.keys(LENGTH_UNITS).join(', ')}`);
+    const gauge = values.per || (length === 'in' ? '4in' : '10cm');
+    if (!GAUGE_BASES[gauge]) throw new UsageError(`--per must be one of ${Object.keys(GAUGE_BASES).join(', ')}`);
+    return { length, gauge };
+}
+
+function readNumber(values, name, { required = true, integer = false } = {}) {
+    const raw = values[name];
+    if (raw === undefined) {
+        if (required) throw new UsageError(`--${name} is required`);
+        return null;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0 || (integer && !Number.isInteger(value))) {
+        throw new UsageError(`--${name} must be a positive ${integer ? 'whole number' : 'number'}, not "${raw}"`);
+    }
+    return value;
+}
+
+function readGauge(values, name, units, options) {
+    const value = readNumber(values, name, options);
+    return value === null ? null : toGaugePer10cm(value, units.gauge);
+}
+
+function readLength(values, name, units, options) {
+    const value = readNumber(values, name, options);
+    return value === null ? null : toCentimeters(value, units.length);
+}
+
+/**
+ * "S=90,M=100:84" -> [{ name: 'S', measurement: 90 }, { name: 'M',
+ * measurement: 100, lengthRows: 84 }], measurements in cm.
+ */
+function readSizes(values, units) {
+    if (!values.sizes) throw new UsageError('--sizes is required, e.g. --sizes S=90,M=100');
+    return values.sizes.split(',').map(entry => {
+        const match = entry.trim().match(/^([^=]+)=([\d.]+)(?::(\d+))?$/);
+        if (!match || !(Number(match[2]) > 0)) {
+            throw new UsageError(`Can't read size "${entry}"; use NAME=LENGTH or NAME=LENGTH:ROWS`);
+        }
+        return {
+            name: match[1].trim(),
+            measurement: toCentimeters(Number(match[2]), units.length),
+            lengthRows: match[3] ? parseInt(match[3]) : undefined
+        };
+    });
+}
+
+function sizeCommand(values, units) {
+    const personalGauge = readGauge(values, 'gauge', units);
+    const patternGauge = readGauge(values, 'pattern-gauge', units);
+    const target = readLength(values, 'target', units);
+    const personalGaugeV = readGauge(values, 'row-gauge', units, { required: false });
+    const patternGaugeV = readGauge(values, 'pattern-row-gauge', units, { required: false });
+    const sizes = readSizes(values, units);
+    
+    const analysis = analyzeAllSizes(personalGauge, patternGauge, target, sizes, personalGaugeV, patternGaugeV);
+    if (analysis.error) throw new UsageError(analysis.error);
+    
+    const { bestMatch, allSizes, gaugeRatio } = analysis;
+    const gaugeText = gaugeRatio > 1.02
+        ? `Your gauge is tighter than the pattern (${Math.round((gaugeRatio - 1) * 100)}% more stitches per ${units.gauge}).`
+        : gaugeRatio < 0.98
+            ? `Your gauge is looser than the pattern (${Math.round((1 - gaugeRatio) * 100)}% fewer stitches per ${units.gauge}).`
+            : 'Your gauge matches the pattern gauge closely.';
+    
+    const nameWidth = Math.max(...allSizes.map(size => size.name.length));
+    const text = [
+        `Knit size ${bestMatch.name}`,
+        gaugeText,
+        `For ${formatLength(target, units.length)}, look for a pattern size of about ${formatLength(analysis.targetPatternMeasurement, units.length)}.`,
+        '',
+        'All sizes with your gauge:',
+        ...allSizes.map(size => {
+            let line = `  ${size.name.padEnd(nameWidth)}  ${formatLength(size.patternMeasurement, units.length)} → ${formatLength(size.actualMeasurement, units.length)} (${formatSignedLength(size.differenceFromDesired, units.length)})`;
+            if (size.length) line += `; work ${size.length.rowsNeeded} rows for the pattern's ${size.length.patternRows}`;
+            return size === bestMatch ? `${line} ✓` : line;
+        })
+    ];
+    
+    return { text, data: analysis };
+}
+
+function pickupCommand(values, units) {
+    const personalGaugeH = readGauge(values, 'gauge', units);
+    const personalGaugeV = readGauge(values, 'row-gauge', units);
+    const patternGaugeH = readGauge(values, 'pattern-gauge', units);
+    const patternGaugeV = readGauge(values, 'pattern-row-gauge', units);
+    const totalRows = readNumber(values, 'rows', { integer: true });
+    const multiple = readNumber(values, 'multiple', { required: false, integer: true }) || 1;
+    const offset = values.offset === undefined ? 0 : parseInt(values.offset) || 0;
+    
+    const rate = (values.rate || '').match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (!rate) throw new UsageError('--rate is required as STITCHES/ROWS, e.g. --rate 3/4');
+    const patternStitches = parseInt(rate[1]);
+    const patternRows = parseInt(rate[2]);
+    
+    const adjusted = calculateAdjustedPickupRatio(patternStitches, patternRows, personalGaugeH, personalGaugeV, patternGaugeH, patternGaugeV);
+    if (!adjusted) throw new UsageError('Could not calculate the adjusted ratio; check the rate');
+    
+    const constrained = constrainPickupCount(totalRows * adjusted.ratio, personalGaugeH, multiple, offset);
+    if (constrained.count < 1) throw new UsageError('The pick-up count comes out below 1; check the gauges');
+    
+    const repeat = findMinimalRepeat(constrained.count, totalRows);
+    const dots = repeat.pattern.map(count => (count === 0 ? '○' : count === 1 ? '●' : String(count))).join('');
+    
+    const text = [`Pick up ${constrained.count} stitches over ${totalRows} rows`];
+    if (multiple > 1 && constrained.count !== Math.round(constrained.rawCount)) {
+        const change = formatLength(Math.abs(constrained.lengthChange), units.length);
+        text.push(`Rounded from ${roundTo(constrained.rawCount)} to a multiple of ${multiple}${offset ? ` plus ${offset}` : ''}; the border comes out ${change} ${constrained.lengthChange > 0 ? 'longer' : 'shorter'} than the edge.`);
+    }
+    text.push(
+        '',
+        `Pattern to repeat: ${repeat.description}`,
+        `Repeat this ${repeat.repeats} time${repeat.repeats !== 1 ? 's' : ''}`,
+        `One repeat (${repeat.cycleRows} rows): ${dots}   ● pick up  ○ skip`,
+        '',
+        `(Pattern says ${patternStitches} per ${patternRows} rows → adjusted for your gauge)`
+    );
+    
+    return {
+        text,
+        data: { pickup: { total: constrained.count, rows: totalRows, patternStitches, patternRows, ratio: adjusted.ratio, rounding: constrained }, repeat }
+    };
+}
+
+function combineCommand(values, units) {
+    const along = { stitches: 'along-stitches', rows: 'along-rows' }[values.along];
+    if (!along) throw new UsageError('--along must be stitches or rows');
+    if (!JOIN_MODES[values.join]) throw new UsageError(`--join must be one of ${Object.keys(JOIN_MODES).join(', ')}`);
+    if (values.extra !== 'double' && values.extra !== 'increase') throw new UsageError('--extra must be double or increase');
+    if (values['join-every'] !== undefined && values.join !== 'sideways') throw new UsageError('--join-every only applies with --join sideways');
+    const pickedUp = values.join === 'picked-up';
+    
+    const mainGaugeH = readGauge(values, 'main-gauge', units, { required: along === 'along-stitches' });
+    const mainGaugeV = readGauge(values, 'main-row-gauge', units, { required: along === 'along-rows' });
+    const borderGaugeH = readGauge(values, 'border-gauge', units, { required: pickedUp });
+    const borderGaugeV = readGauge(values, 'border-row-gauge', units, { required: !pickedUp });
+    const mainCount = readNumber(values, 'count', { integer: true });
+    const joinEvery = readNumber(values, 'join-every', { required: false, integer: true }) || 1;
+    
+    const result = calculateGaugeCombination(mainGaugeH, mainGaugeV, borderGaugeH, borderGaugeV, mainCount, along, values.join, joinEvery);
+    if (!result) throw new UsageError('Could not calculate; check the gauges');
+    
+    if (!pickedUp) {
+        const text = [
+            `Work ${result.borderRows} border rows`,
+            `Your main fabric has ${result.mainCount} ${result.mainUnit} (${formatLength(result.measurement, units.length)} ${along === 'along-stitches' ? 'wide' : 'tall'}); the border covers it in ${formatLength(result.borderLength, units.length)}.`,
+            `Rate: ${result.description}`
+        ];
+        if (result.approximate) {
+            text.push(`Roughly: ${describeJoinRate(result.approximate.a, result.approximate.b, result.joinEvery, result.mainUnit, values.join === 'seamed' ? 'seam' : 'join')}`);
+        }
+        return { text, data: { combine: result } };
+    }
+    
+    let detail = `Your main fabric has ${result.mainCount} ${result.mainUnit} (${formatLength(result.measurement, units.length)} ${along === 'along-stitches' ? 'wide' : 'tall'}).`;
+    if (result.borderStitches !== result.mainCount) {
+        const diff = Math.abs(result.borderStitches - result.mainCount);
+        detail += ` With the border gauge, you need ${diff} ${result.borderStitches > result.mainCount ? 'more' : 'fewer'} stitches to match the same measurement.`;
+    }
+    
+    const unit = result.mainUnit === 'stitches' ? 'stitch' : 'row';
+    const repeat = findMinimalRepeat(result.borderStitches, result.mainCount, unit, result.mainUnit, values.extra);
+    const dots = repeat.pattern.map(count => (count === 0 ? '○' : count === 1 ? '●' : String(count))).join('');
+    
+    const text = [
+        `Pick up ${result.borderStitches} stitches`,
+        detail,
+        `Ratio: ${result.simplified.a} border stitches per ${result.simplified.b} main ${result.mainUnit}`,
+        '',
+        `Pattern to repeat: ${repeat.description}`,
+        `Repeat this ${repeat.repeats} time${repeat.repeats !== 1 ? 's' : ''}`,
+        `One repeat (${repeat.cycleRows} ${repeat.cycleRows !== 1 ? result.mainUnit : unit}): ${dots}   ● pick up  ○ skip`
+    ];
+    
+    return { text, data: { combine: result, repeat } };
+}
+
+function chartCommand(values, units) {
+    const gaugeH = readGauge(values, 'gauge', units);
+    const gaugeV = readGauge(values, 'row-gauge', units);
+    const width = readLength(values, 'width', units, { required: false });
+    const height = readLength(values, 'height', units, { required: false });
+    if (!values.chart) throw new UsageError('--chart is required');
+    
+    let text;
+    try {
+        text = readFileSync(values.chart, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Could not read ${values.chart}`);
+    }
+    const chart = parseChart(text);
+    if (!chart) throw new UsageError(`${values.chart} is empty`);
+    if (chart.error) throw new UsageError(chart.error);
+    
+    const size = calculateChartSize(chart.stitches, chart.rows, gaugeH, gaugeV);
+    const dimensions = of => `${formatLength(of.width, units.length)} × ${formatLength(of.height, units.length)}`;
+    const output = [`${chart.stitches} stitches × ${chart.rows} rows knit to ${dimensions(size)}`];
+    const change = Math.round(Math.abs(1 - size.aspect) * 100);
+    if (change > 0) output.push(`The chart knits ${change}% ${size.aspect < 1 ? 'shorter' : 'taller'} than it looks on square paper.`);
+    
+    const resize = calculateChartResize(chart.stitches, chart.rows, gaugeH, gaugeV, width, height);
+    if (!resize) return { text: output, data: { chart: { ...chart, ...size } } };
+    if (resize.error) throw new UsageError(resize.error);
+    
+    const resized = resampleChart(chart, resize.stitches, resize.rows);
+    output.push('', `Resized to ${dimensions(resize)}: ${resized.stitches} stitches × ${resized.rows} rows`, chartToText(resized));
+    return {
+        text: output,
+        data: { chart: { ...chart, ...size }, resized: { ...resized, width: resize.width, height: resize.height } }
+    };
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,1645 @@
+/**
+ * KnitIt calculations: gauge conversion, size fitting, pick-ups, shaping,
+ * joins and pattern conversion, with no DOM access, so the same module runs
+ * in the browser (script.js) and in Node (bin/knitit.js).
+ *
+ * Units: lengths are centimetres and gauges are counts per 10cm throughout;
+ * yarn is measured in metres. Convert on the way in with toCentimeters /
+ * toGaugePer10cm / toMeters and on the way out with their from* pairs or the
+ * format* helpers.
+ *
+ * Main entry points:
+ *   Sizes      analyzeAllSizes, rankSizesByFit, calculateInBetweenSize,
+ *              calculateRowAdjustment
+ *   Yarn       calculateFabricAreaFactor, estimateYarnQuantity,
+ *              estimateYarnForSizes, compareYarns
+ *   Swatches   analyzeSwatchMeasurement
+ *   Pick-ups   calculateAdjustedPickupRatio, calculateEdgePickup,
+ *              describeDistribution, findMinimalRepeat, constrainPickupCount,
+ *              expandPickupChecklist
+ *   Joins      calculateGaugeCombination, describeJoinRate
+ *   Shaping    calculateShaping, calculateEvenRowShaping
+ *   Patterns   parsePatternInstructions, convertPatternInstructions
+ *   Charts     parseChart, calculateChartSize, calculateChartResize,
+ *              resampleChart, chartFromPixels, chartToText
+ *   Tables     parseSizeTable, sizeAnalysisTable, pickupDistributionTable,
+ *              parseDelimitedText, toDelimitedText
+ *
+ * Nothing throws on bad input: functions return null when required values
+ * are missing, or an object with an `error` message the UI can show.
+ */
+
+/**
+ * Gauge calculation formula: targetPatternMeasurement = desiredMeasurement * (personalGauge / patternGauge)
+ * Tighter gauge (more stitches/10cm) → need LARGER pattern size
+ * Looser gauge (fewer stitches/10cm) → need SMALLER pattern size
+ */
+export function calculateTargetPatternMeasurement(personalGauge, patternGauge, desiredMeasurement) {
+    if (!personalGauge || !patternGauge || !desiredMeasurement) return null;
+    return desiredMeasurement * (personalGauge / patternGauge);
+}
+
+/**
+ * Actual measurement formula: actualMeasurement = patternMeasurement * (patternGauge / personalGauge)
+ */
+export function calculateActualMeasurement(personalGauge, patternGauge, patternMeasurement) {
+    if (!personalGauge || !patternGauge || !patternMeasurement) return null;
+    return patternMeasurement * (patternGauge / personalGauge);
+}
+
+/**
+ * Length worked over a pattern's row count: patternRows are knit at the
+ * pattern's row gauge, so rowsNeeded = patternRows * (personalGaugeV / patternGaugeV)
+ */
+export function calculateRowAdjustment(personalGaugeV, patternGaugeV, patternRows) {
+    if (!personalGaugeV || !patternGaugeV || !patternRows) return null;
+    
+    const patternLength = patternRows / patternGaugeV * 10;
+    const actualLength = patternRows / personalGaugeV * 10;
+    const rowsNeeded = Math.round(patternRows * (personalGaugeV / patternGaugeV));
+    
+    return {
+        patternRows,
+        patternLength: Math.round(patternLength * 10) / 10,
+        actualLength: Math.round(actualLength * 10) / 10,
+        rowsNeeded,
+        rowAdjustment: rowsNeeded - patternRows
+    };
+}
+
+/**
+ * Greatest common divisor of two counts (rounded to whole numbers first).
+ */
+export function gcd(a, b) {
+    a = Math.round(a);
+    b = Math.round(b);
+    while (b !== 0) {
+        const temp = b;
+        b = a % b;
+        a = temp;
+    }
+    return a;
+}
+
+/**
+ * a:b in lowest terms, e.g. simplifyRatio(87, 80) -> { a: 87, b: 80 }.
+ */
+export function simplifyRatio(a, b) {
+    const divisor = gcd(a, b);
+    return { a: Math.round(a / divisor), b: Math.round(b / divisor) };
+}
+
+/**
+ * All calculations work in centimetres and gauge per 10cm. Inputs are
+ * normalized on the way in and formatted on the way out in the chosen units.
+ */
+export const LENGTH_UNITS = {
+    cm: { label: 'cm', cm: 1, yarn: 'm' },
+    in: { label: 'in', cm: 2.54, yarn: 'yd' }
+};
+
+/** Yarn lengths, keyed by the `yarn` unit of each LENGTH_UNITS entry. */
+export const YARN_UNITS = {
+    m: { label: 'm', m: 1 },
+    yd: { label: 'yd', m: 0.9144 }
+};
+
+export const GAUGE_BASES = {
+    '10cm': { label: '10cm', cm: 10 },
+    '4in': { label: '4in', cm: 10.16 },
+    '1in': { label: '1in', cm: 2.54 }
+};
+
+export function toCentimeters(value, lengthUnit) {
+    return value * LENGTH_UNITS[lengthUnit].cm;
+}
+
+export function fromCentimeters(cm, lengthUnit) {
+    return cm / LENGTH_UNITS[lengthUnit].cm;
+}
+
+export function toGaugePer10cm(count, gaugeBasis) {
+    return count * 10 / GAUGE_BASES[gaugeBasis].cm;
+}
+
+export function fromGaugePer10cm(gauge, gaugeBasis) {
+    return gauge * GAUGE_BASES[gaugeBasis].cm / 10;
+}
+
+export function toMeters(value, yarnUnit) {
+    return value * YARN_UNITS[yarnUnit].m;
+}
+
+export function fromMeters(m, yarnUnit) {
+    return m / YARN_UNITS[yarnUnit].m;
+}
+
+export function roundTo(value, decimals = 1) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+export function formatLength(cm, lengthUnit = 'cm') {
+    return `${roundTo(fromCentimeters(cm, lengthUnit))}${LENGTH_UNITS[lengthUnit].label}`;
+}
+
+export function formatSignedLength(cm, lengthUnit = 'cm') {
+    const value = roundTo(fromCentimeters(cm, lengthUnit));
+    return `${value > 0 ? '+' : ''}${value}${LENGTH_UNITS[lengthUnit].label}`;
+}
+
+export function formatYarnLength(m, yarnUnit = 'm') {
+    return `${Math.round(fromMeters(m, yarnUnit))}${YARN_UNITS[yarnUnit].label}`;
+}
+
+export function formatGauge(gauge, gaugeBasis = '10cm') {
+    return `${roundTo(fromGaugePer10cm(gauge, gaugeBasis))}`;
+}
+
+/**
+ * Gauge from a measured swatch: gauge = count / measuredCm * 10
+ * The post-blocking measurement wins when present, since that is the fabric
+ * the garment will end up as. Blocking change is reported as a percentage of
+ * the pre-blocking measurement (positive = grew, negative = shrank).
+ */
+export function analyzeSwatchMeasurement(stitches, rows, widthBefore, heightBefore, widthAfter, heightAfter) {
+    const width = widthAfter || widthBefore;
+    const height = heightAfter || heightBefore;
+    
+    const blockingChange = (before, after) => {
+        if (!before || !after) return null;
+        return Math.round((after - before) / before * 1000) / 10;
+    };
+    
+    return {
+        gaugeH: stitches && width ? stitches / width * 10 : null,
+        gaugeV: rows && height ? rows / height * 10 : null,
+        blocked: !!(widthAfter || heightAfter),
+        widthChange: blockingChange(widthBefore, widthAfter),
+        heightChange: blockingChange(heightBefore, heightAfter)
+    };
+}
+
+/**
+ * Nearest count of the form multiple * n + offset (e.g. 4n + 2 for 2x2 rib
+ * with a selvedge stitch each side).
+ */
+export function roundToMultiple(value, multiple = 1, offset = 0) {
+    if (!multiple || multiple <= 1) return Math.round(value);
+    const rounded = Math.round((value - offset) / multiple) * multiple + offset;
+    return rounded > 0 ? rounded : rounded + multiple;
+}
+
+
+/**
+ * A pattern's pick-up rate ("3 stitches per 4 rows") rescaled to your gauge.
+ * Returns { rawStitches, rawRows, ratio } where ratio is stitches per row,
+ * or null when any value is missing.
+ */
+export function calculateAdjustedPickupRatio(patternStitches, patternRows, personalGaugeH, personalGaugeV, patternGaugeH, patternGaugeV) {
+    if (!patternStitches || !patternRows || !personalGaugeH || !personalGaugeV || !patternGaugeH || !patternGaugeV) {
+        return null;
+    }
+    
+    const adjustedStitches = patternStitches * (personalGaugeH / patternGaugeH);
+    const adjustedRows = patternRows * (personalGaugeV / patternGaugeV);
+    
+    return {
+        rawStitches: adjustedStitches,
+        rawRows: adjustedRows,
+        ratio: adjustedStitches / adjustedRows
+    };
+}
+
+export const EDGE_SEGMENT_TYPES = {
+    'bound-off': { label: 'Bound-off stitches', unit: 'stitch' },
+    rows: { label: 'Rows (straight)', unit: 'row' },
+    diagonal: { label: 'Diagonal (decreases)', unit: 'row' }
+};
+
+/**
+ * Pick-up counts along an edge made of segments. Bound-off stitches are
+ * picked up at the pattern's stitch rate (the border and the bound-off edge
+ * share your stitch gauge), straight rows at the pattern's row rate adjusted
+ * for your gauge, and a diagonal by its length: both legs are measured
+ * with your gauge and the slope is picked up at the row rate, so a steep
+ * diagonal takes about what its rows would. With a multiple, the total is
+ * rounded to multiple * n + offset and the difference is spread over the
+ * segments by size.
+ */
+export function calculateEdgePickup(segments, personalGaugeH, personalGaugeV, patternGaugeH, patternGaugeV, multiple = 1, offset = 0) {
+    const results = [];
+    
+    for (const segment of segments) {
+        const stitchRate = calculateAdjustedPickupRatio(
+            segment.pickupStitches || 1, segment.pickupRows || 1,
+            personalGaugeH, personalGaugeH, patternGaugeH, patternGaugeH
+        );
+        const rowRate = calculateAdjustedPickupRatio(
+            segment.pickupStitches, segment.pickupRows,
+            personalGaugeH, personalGaugeV, patternGaugeH, patternGaugeV
+        );
+        
+        let raw;
+        let units;
+        if (segment.type === 'bound-off') {
+            if (!segment.stitches || !stitchRate) return { error: 'Enter the stitch count and pick-up rate for every bound-off segment' };
+            raw = segment.stitches * stitchRate.ratio;
+            units = segment.stitches;
+        } else if (segment.type === 'rows') {
+            if (!segment.rows || !rowRate) return { error: 'Enter the row count and pick-up rate for every row segment' };
+            raw = segment.rows * rowRate.ratio;
+            units = segment.rows;
+        } else {
+            if (!segment.stitches || !segment.rows || !rowRate) {
+                return { error: 'Enter the stitches, rows and pick-up rate for every diagonal segment' };
+            }
+            const length = Math.hypot(segment.stitches / personalGaugeH, segment.rows / personalGaugeV);
+            raw = length * personalGaugeV * rowRate.ratio;
+            units = segment.rows;
+        }
+        
+        results.push({ ...segment, units, unit: EDGE_SEGMENT_TYPES[segment.type].unit, raw, count: Math.round(raw) });
+    }
+    
+    if (results.length === 0) return { error: 'Add at least one edge segment' };
+    
+    const rawTotal = results.reduce((sum, r) => sum + r.raw, 0);
+    let total = results.reduce((sum, r) => sum + r.count, 0);
+    
+    if (multiple > 1) {
+        total = roundToMultiple(rawTotal, multiple, offset);
+        const scale = total / rawTotal;
+        results.forEach(r => { r.count = Math.floor(r.raw * scale); });
+        const byRemainder = results.slice().sort((a, b) => (b.raw * scale % 1) - (a.raw * scale % 1));
+        let remaining = total - results.reduce((sum, r) => sum + r.count, 0);
+        for (let i = 0; remaining > 0; i = (i + 1) % byRemainder.length, remaining--) {
+            byRemainder[i].count++;
+        }
+    }
+    
+    return {
+        segments: results,
+        rawTotal: Math.round(rawTotal * 10) / 10,
+        total,
+        multiple,
+        offset
+    };
+}
+
+/**
+ * A pick-up as runs of rows that take the same number of stitches:
+ * { pattern: [{ type: 'pickup' | 'skip' | 'multiple', count, stitches }] }
+ * repeated `cycles` times, where `stitches` is per row. With fewer stitches
+ * than rows the runs alternate between picking up and skipping; with more,
+ * 'multiple' rows take the extra stitches. This is the repeat
+ * findMinimalRepeat describes, in run form.
+ */
+export function calculateDistribution(totalStitches, totalRows) {
+    const g = gcd(totalStitches, totalRows);
+    const pickupsPerCycle = totalStitches / g;
+    const cycleLength = totalRows / g;
+    
+    const pattern = [];
+    for (const stitches of generateSymmetricDistribution(pickupsPerCycle, cycleLength)) {
+        const type = stitches === 0 ? 'skip' : stitches === 1 ? 'pickup' : 'multiple';
+        const last = pattern[pattern.length - 1];
+        if (last && last.stitches === stitches) {
+            last.count++;
+        } else {
+            pattern.push({ type, count: 1, stitches });
+        }
+    }
+    
+    return {
+        totalStitches,
+        totalRows,
+        cycleLength,
+        pickupsPerCycle,
+        skipsPerCycle: pattern.filter(run => run.type === 'skip').reduce((total, run) => total + run.count, 0),
+        pattern,
+        cycles: g
+    };
+}
+
+/**
+ * Like generateEvenDistribution, but lays the stitches out so the pattern
+ * reads the same from both ends of the edge: each stitch sits in the middle
+ * of its share of the rows, and the second half mirrors the first so ties
+ * don't all round towards one end.
+ */
+export function generateSymmetricDistribution(totalStitches, totalRows) {
+    const positions = [];
+    const firstHalf = Math.ceil(totalStitches / 2);
+    for (let i = 0; i < firstHalf; i++) {
+        positions.push(Math.floor((i + 0.5) * totalRows / totalStitches));
+    }
+    for (let i = firstHalf; i < totalStitches; i++) {
+        positions.push(totalRows - 1 - positions[totalStitches - 1 - i]);
+    }
+    
+    const result = new Array(totalRows).fill(0);
+    positions.forEach(row => { result[row]++; });
+    return result;
+}
+
+/**
+ * Nudges a pick-up count to the nearest multiple of `multiple` plus `offset`
+ * and works out how much wider or narrower (in cm) the border comes out than
+ * the unrounded count, knitted at `gaugeH` stitches per 10cm.
+ */
+export function constrainPickupCount(rawCount, gaugeH, multiple = 1, offset = 0) {
+    const count = roundToMultiple(rawCount, multiple, offset);
+    return {
+        rawCount,
+        count,
+        multiple,
+        offset,
+        difference: count - rawCount,
+        lengthChange: (count - rawCount) * 10 / gaugeH
+    };
+}
+
+/**
+ * Stitches to pick up from each of `totalRows` rows, spread by running total
+ * so the extra stitches land as evenly as possible from the start of the edge.
+ */
+export function generateEvenDistribution(totalStitches, totalRows) {
+    const result = [];
+    let stitchesPlaced = 0;
+    
+    for (let row = 0; row < totalRows; row++) {
+        const expectedStitches = Math.round((row + 1) * totalStitches / totalRows);
+        const stitchesThisRow = expectedStitches - stitchesPlaced;
+        result.push(stitchesThisRow);
+        stitchesPlaced = expectedStitches;
+    }
+    
+    return result;
+}
+
+/**
+ * generateEvenDistribution plus its runs: consecutive rows that take the
+ * same number of stitches, as [{ stitchesPerRow, rows }].
+ */
+export function describeDistribution(totalStitches, totalRows) {
+    const distribution = generateEvenDistribution(totalStitches, totalRows);
+    
+    const runs = [];
+    let currentCount = distribution[0];
+    let runLength = 1;
+    
+    for (let i = 1; i < distribution.length; i++) {
+        if (distribution[i] === currentCount) {
+            runLength++;
+        } else {
+            runs.push({ stitchesPerRow: currentCount, rows: runLength });
+            currentCount = distribution[i];
+            runLength = 1;
+        }
+    }
+    runs.push({ stitchesPerRow: currentCount, rows: runLength });
+    
+    const runCounts = {};
+    for (const run of runs) {
+        const key = `${run.stitchesPerRow}-${run.rows}`;
+        runCounts[key] = (runCounts[key] || 0) + 1;
+    }
+    
+    return {
+        distribution,
+        runs,
+        runCounts,
+        totalStitches,
+        totalRows
+    };
+}
+
+/**
+ * Spread shaping rows over a span of rows as evenly as whole intervals allow:
+ * totalRows = (base + 1) * longer + base * (shapingRows - longer).
+ * Longer intervals are worked first; each interval ends on its shaping row.
+ */
+export function distributeShapingRows(shapingRows, totalRows) {
+    const base = Math.floor(totalRows / shapingRows);
+    const longer = totalRows % shapingRows;
+    
+    const steps = [];
+    if (longer > 0) steps.push({ every: base + 1, times: longer });
+    steps.push({ every: base, times: shapingRows - longer });
+    
+    const rows = [];
+    for (const step of steps) {
+        for (let i = 0; i < step.times; i++) {
+            for (let j = 1; j < step.every; j++) rows.push(0);
+            rows.push(1);
+        }
+    }
+    
+    return { steps, rows };
+}
+
+/**
+ * "every 4th row 3 times, then every 3rd row 5 times" for a list of
+ * { every, times } steps.
+ */
+export function describeShapingSteps(steps) {
+    return steps.map((step, i) => {
+        const every = step.every === 1 ? 'every row' : `every ${step.every}${ordinalSuffix(step.every)} row`;
+        return `${i > 0 ? 'then ' : ''}${every} ${step.times} time${step.times !== 1 ? 's' : ''}`;
+    }).join(', ');
+}
+
+/**
+ * Increase or decrease from `startStitches` to `endStitches` over `totalRows`,
+ * `perShapingRow` stitches at a time. Returns the type, the shaping steps,
+ * a per-row 0/1 map and a description, or { error } when it can't be done.
+ */
+export function calculateShaping(startStitches, endStitches, totalRows, perShapingRow = 1) {
+    if (!startStitches || !endStitches || !totalRows || !perShapingRow) return null;
+    
+    const change = endStitches - startStitches;
+    if (change === 0) return { error: 'Start and end stitch counts are the same, so there is nothing to shape' };
+    if (Math.abs(change) % perShapingRow !== 0) {
+        return { error: `A change of ${Math.abs(change)} stitches can't be worked ${perShapingRow} stitches at a time` };
+    }
+    
+    const shapingRows = Math.abs(change) / perShapingRow;
+    if (shapingRows > totalRows) {
+        return { error: `${shapingRows} shaping rows don't fit in ${totalRows} rows` };
+    }
+    
+    const { steps, rows } = distributeShapingRows(shapingRows, totalRows);
+    
+    return {
+        type: change > 0 ? 'increase' : 'decrease',
+        startStitches,
+        endStitches,
+        totalRows,
+        perShapingRow,
+        shapingRows,
+        steps,
+        rows,
+        description: describeShapingSteps(steps)
+    };
+}
+
+/**
+ * Spread increases (M1) or decreases (k2tog) evenly across a row. The plain
+ * stitches are divided into one segment per shaping stitch with
+ * generateEvenDistribution. Knitting flat, they are divided into half
+ * segments instead so each end of the row gets one half and the row is
+ * symmetrical.
+ */
+export function calculateEvenRowShaping(stitches, change, knitting = 'round', type = 'increase') {
+    if (!stitches || !change) return null;
+    
+    const isIncrease = type === 'increase';
+    const plainStitches = isIncrease ? stitches : stitches - 2 * change;
+    if (plainStitches < 0) {
+        return { error: `Can't decrease ${change} stitches from ${stitches} with k2tog; the most is ${Math.floor(stitches / 2)}` };
+    }
+    
+    const op = isIncrease ? 'M1' : 'k2tog';
+    let segments = generateEvenDistribution(plainStitches, change);
+    let start = 0;
+    let end = 0;
+    
+    if (knitting === 'flat') {
+        const halves = generateEvenDistribution(plainStitches, change * 2);
+        start = halves[0];
+        end = halves[halves.length - 1];
+        segments = [];
+        for (let i = 1; i < halves.length - 1; i += 2) {
+            segments.push(halves[i] + halves[i + 1]);
+        }
+    }
+    
+    let period = segments.length;
+    for (let p = 1; p <= segments.length; p++) {
+        if (segments.length % p === 0 && segments.every((s, i) => s === segments[i % p])) {
+            period = p;
+            break;
+        }
+    }
+    const unit = segments.slice(0, period);
+    const repeats = period ? segments.length / period : 0;
+    
+    const unitStep = count => count > 0 ? `K${count}, ${op}` : op;
+    const unitParts = [];
+    for (let i = 0; i < unit.length;) {
+        let run = 1;
+        while (i + run < unit.length && unit[i + run] === unit[i]) run++;
+        unitParts.push(run > 1 && unit.length > run ? `(${unitStep(unit[i])}) ${run} times` : unitStep(unit[i]));
+        i += run;
+    }
+    
+    let unitRepeats = repeats;
+    if (unit.length > 1 && unit.every(s => s === unit[0])) {
+        unitRepeats = repeats * unit.length;
+        unitParts.splice(0, unitParts.length, unitStep(unit[0]));
+    }
+    
+    const parts = [];
+    if (knitting === 'flat') parts.push(unitStep(start));
+    if (unitParts.length > 0) {
+        parts.push(unitRepeats > 1 ? `*${unitParts.join(', ')}; rep from * ${unitRepeats} times` : unitParts.join(', '));
+    }
+    if (end > 0) parts.push(`K${end}`);
+    
+    const row = [];
+    const pushSegment = (count, withOp) => {
+        for (let i = 0; i < count; i++) row.push(0);
+        if (withOp) row.push(isIncrease ? 1 : 2);
+    };
+    if (knitting === 'flat') pushSegment(start, true);
+    segments.forEach(count => pushSegment(count, true));
+    pushSegment(end, false);
+    
+    return {
+        type,
+        knitting,
+        stitches,
+        change,
+        finalStitches: isIncrease ? stitches + change : stitches - change,
+        start,
+        end,
+        segments,
+        description: parts.join(', '),
+        row
+    };
+}
+
+/**
+ * The size whose `measurement` is nearest `targetMeasurement`, with its
+ * absolute `difference`.
+ */
+export function findClosestSize(targetMeasurement, sizes) {
+    if (!targetMeasurement || !sizes || sizes.length === 0) return null;
+    
+    let closest = null;
+    let smallestDiff = Infinity;
+    
+    for (const size of sizes) {
+        if (!size.measurement) continue;
+        const diff = Math.abs(size.measurement - targetMeasurement);
+        if (diff < smallestDiff) {
+            smallestDiff = diff;
+            closest = { ...size, difference: diff };
+        }
+    }
+    
+    return closest;
+}
+
+export const JOIN_MODES = {
+    'picked-up': { label: 'Picked up and knit outward' },
+    sideways: { label: 'Knit sideways, joined as you go' },
+    seamed: { label: 'Knit separately and seamed' }
+};
+
+/**
+ * Calculate border stitches when picking up along an edge with different gauge.
+ * Along stitches: main stitches → border stitches (same width)
+ * Along rows: main rows → border stitches (same height)
+ *
+ * A border knit sideways (applied I-cord, garter bands, knitted-on edgings)
+ * or knit separately and seamed runs its rows along the edge instead, so its
+ * row gauge sets the count: borderRows = edge length * borderGaugeV / 10.
+ * Sideways borders join on every `joinEvery`th row, so their rows are rounded
+ * to whole joins; `simplified` is then joins (a) to main units (b).
+ */
+export function calculateGaugeCombination(mainGaugeH, mainGaugeV, borderGaugeH, borderGaugeV, mainCount, pickupAlong, joinMode = 'picked-up', joinEvery = 1) {
+    if (!mainCount || !JOIN_MODES[joinMode]) return null;
+    if (pickupAlong !== 'along-stitches' && pickupAlong !== 'along-rows') return null;
+    
+    const alongStitches = pickupAlong === 'along-stitches';
+    const mainGauge = alongStitches ? mainGaugeH : mainGaugeV;
+    const mainUnit = alongStitches ? 'stitches' : 'rows';
+    const measurement = (mainCount / mainGauge) * 10;
+    
+    if (joinMode === 'picked-up') {
+        if (!mainGauge || !borderGaugeH) return null;
+        const borderStitches = Math.round((measurement * borderGaugeH) / 10);
+        const ratio = borderStitches / mainCount;
+        const simplified = simplifyRatio(borderStitches, mainCount);
+        
+        return {
+            type: pickupAlong,
+            mode: joinMode,
+            mainCount,
+            borderStitches,
+            measurement: Math.round(measurement * 10) / 10,
+            ratio: Math.round(ratio * 100) / 100,
+            simplified,
+            mainUnit,
+            increase: borderStitches > mainCount
+        };
+    }
+    
+    if (!mainGauge || !borderGaugeV) return null;
+    const every = joinMode === 'sideways' ? Math.max(1, Math.round(joinEvery) || 1) : 1;
+    const joins = Math.max(1, Math.round((measurement * borderGaugeV) / 10 / every));
+    const borderRows = joins * every;
+    const simplified = simplifyRatio(joins, mainCount);
+    
+    return {
+        type: pickupAlong,
+        mode: joinMode,
+        mainCount,
+        borderRows,
+        joinEvery: every,
+        joins,
+        measurement: Math.round(measurement * 10) / 10,
+        borderLength: Math.round((borderRows / borderGaugeV) * 100) / 10,
+        ratio: Math.round((borderRows / mainCount) * 100) / 100,
+        simplified,
+        approximate: simplified.a > 8 || simplified.b > 8 ? approximateRatio(joins, mainCount, 8) : null,
+        description: describeJoinRate(simplified.a, simplified.b, every, mainUnit, joinMode === 'seamed' ? 'seam' : 'join'),
+        mainUnit
+    };
+}
+
+/**
+ * The nearest ratio to a:b with both terms at most `maxTerm`, for a rate
+ * that is easier to follow than the exact one; null when none is close.
+ */
+function approximateRatio(a, b, maxTerm) {
+    const target = a / b;
+    let best = null;
+    for (let q = 1; q <= maxTerm; q++) {
+        const p = Math.round(target * q);
+        if (p < 1 || p > maxTerm) continue;
+        const error = Math.abs(p / q - target);
+        if (!best || error < best.error - 1e-12) best = { a: p, b: q, error };
+    }
+    return best && { a: best.a, b: best.b };
+}
+
+/**
+ * "join every 3rd border row to 2 main stitches" for `joins` joins to
+ * `mainUnits` main stitches or rows, joining on every `joinEvery`th row.
+ */
+export function describeJoinRate(joins, mainUnits, joinEvery = 1, mainUnit = 'stitches', verb = 'join') {
+    const rows = joins * joinEvery;
+    const main = `${mainUnits} main ${mainUnits === 1 ? mainUnit.replace(/e?s$/, '') : mainUnit}`;
+    if (joins === 1) {
+        return `${verb} every ${rows === 1 ? '' : `${rows}${ordinalSuffix(rows)} `}border row to ${main}`;
+    }
+    const joinNote = joinEvery > 1 ? ` (${joins} joins)` : '';
+    return `${verb} ${main} over every ${rows} border rows${joinNote}`;
+}
+
+/**
+ * Single-measurement size check. `sizes` are [{ name, measurement,
+ * lengthRows? }] in pattern terms; each comes back with the measurement it
+ * knits up to at your gauge and how far that is from `desiredMeasurement`.
+ * The best match is the size closest to it. With row gauges, `lengthRows`
+ * are converted with calculateRowAdjustment.
+ */
+export function analyzeAllSizes(personalGauge, patternGauge, desiredMeasurement, sizes, personalGaugeV, patternGaugeV) {
+    const targetPatternMeasurement = calculateTargetPatternMeasurement(
+        personalGauge, patternGauge, desiredMeasurement
+    );
+    
+    if (!targetPatternMeasurement) return { error: 'Missing required values' };
+    
+    const validSizes = sizes.filter(s => s.name && s.measurement);
+    if (validSizes.length === 0) return { error: 'No valid sizes entered' };
+    
+    const analyzedSizes = validSizes.map(size => {
+        const actualMeasurement = calculateActualMeasurement(personalGauge, patternGauge, size.measurement);
+        const differenceFromDesired = actualMeasurement - desiredMeasurement;
+        
+        return {
+            name: size.name,
+            patternMeasurement: size.measurement,
+            actualMeasurement: Math.round(actualMeasurement * 10) / 10,
+            differenceFromDesired: Math.round(differenceFromDesired * 10) / 10,
+            length: calculateRowAdjustment(personalGaugeV, patternGaugeV, size.lengthRows)
+        };
+    });
+    
+    let bestMatch = null;
+    let smallestAbsDiff = Infinity;
+    
+    for (const size of analyzedSizes) {
+        const absDiff = Math.abs(size.differenceFromDesired);
+        if (absDiff < smallestAbsDiff) {
+            smallestAbsDiff = absDiff;
+            bestMatch = size;
+        }
+    }
+    
+    return {
+        targetPatternMeasurement: Math.round(targetPatternMeasurement * 10) / 10,
+        bestMatch,
+        allSizes: analyzedSizes,
+        gaugeRatio: Math.round((personalGauge / patternGauge) * 100) / 100
+    };
+}
+
+/**
+ * Interpolate a custom size between the two pattern sizes that bracket the
+ * desired measurement in an analyzeAllSizes result. The cast-on is
+ * interpolated linearly from the sizes' cast-on counts, then rounded to the
+ * stitch multiple; the finished measurement is interpolated back from the
+ * rounded count.
+ */
+export function calculateInBetweenSize(analysis, desiredMeasurement, castOns, multiple = 1) {
+    const sorted = analysis.allSizes.slice().sort((a, b) => a.actualMeasurement - b.actualMeasurement);
+    
+    let lower = null;
+    let upper = null;
+    for (let i = 0; i < sorted.length - 1; i++) {
+        if (sorted[i].actualMeasurement <= desiredMeasurement && desiredMeasurement <= sorted[i + 1].actualMeasurement) {
+            lower = sorted[i];
+            upper = sorted[i + 1];
+            break;
+        }
+    }
+    
+    if (!lower || lower.actualMeasurement === upper.actualMeasurement) {
+        return { error: 'Your target is not between two pattern sizes' };
+    }
+    
+    const lowerCastOn = castOns[lower.name];
+    const upperCastOn = castOns[upper.name];
+    if (!lowerCastOn || !upperCastOn || lowerCastOn === upperCastOn) {
+        return { error: `Add cast-on counts for sizes ${lower.name} and ${upper.name} to interpolate`, lower: lower.name, upper: upper.name };
+    }
+    
+    const fraction = (desiredMeasurement - lower.actualMeasurement) / (upper.actualMeasurement - lower.actualMeasurement);
+    const rawCastOn = lowerCastOn + fraction * (upperCastOn - lowerCastOn);
+    const castOn = roundToMultiple(rawCastOn, multiple);
+    const actualMeasurement = lower.actualMeasurement +
+        (castOn - lowerCastOn) / (upperCastOn - lowerCastOn) * (upper.actualMeasurement - lower.actualMeasurement);
+    
+    return {
+        lower: lower.name,
+        upper: upper.name,
+        fraction: Math.round(fraction * 100) / 100,
+        rawCastOn: Math.round(rawCastOn * 10) / 10,
+        castOn,
+        multiple,
+        actualMeasurement: Math.round(actualMeasurement * 10) / 10,
+        differenceFromDesired: Math.round((actualMeasurement - desiredMeasurement) * 10) / 10
+    };
+}
+
+export const FIT_PRIORITIES = {
+    must: { label: 'Must fit', weight: 4 },
+    high: { label: 'High', weight: 2 },
+    normal: { label: 'Normal', weight: 1 },
+    low: { label: 'Low', weight: 0.5 }
+};
+
+/**
+ * Rank sizes across several measurement points. Each point is analyzed with
+ * analyzeAllSizes (width points at stitch gauge, length points at row gauge)
+ * against target = body + ease. A size's error at a point is how far it falls
+ * outside the tolerance, weighted by priority; a "must fit" point rules out
+ * sizes that come out smaller than target - tolerance.
+ */
+export function rankSizesByFit(personalGaugeH, patternGaugeH, personalGaugeV, patternGaugeV, points, sizes) {
+    const activePoints = points.filter(p => p.body);
+    if (activePoints.length === 0) return { error: 'Missing required values' };
+    
+    const pointAnalyses = [];
+    for (const point of activePoints) {
+        const target = point.body + (point.ease || 0);
+        const isLength = point.axis === 'length';
+        const pointSizes = sizes.map(s => ({
+            name: s.name,
+            measurement: s.measurements[point.id],
+            lengthRows: s.lengthRows
+        }));
+        const analysis = analyzeAllSizes(
+            isLength ? personalGaugeV : personalGaugeH,
+            isLength ? patternGaugeV : patternGaugeH,
+            target, pointSizes, personalGaugeV, patternGaugeV
+        );
+        if (analysis.error) {
+            return { error: `${point.name || 'Measurement'}: ${analysis.error}` };
+        }
+        pointAnalyses.push({ point, target, analysis });
+    }
+    
+    const rankedSizes = sizes.filter(s => s.name).map(size => {
+        const sizePoints = [];
+        let length = null;
+        
+        for (const { point, target, analysis } of pointAnalyses) {
+            const analyzed = analysis.allSizes.find(a => a.name === size.name);
+            if (!analyzed) continue;
+            if (!length) length = analyzed.length;
+            
+            const tolerance = point.tolerance || 0;
+            const weight = FIT_PRIORITIES[point.priority].weight;
+            const excess = Math.max(0, Math.abs(analyzed.differenceFromDesired) - tolerance);
+            
+            sizePoints.push({
+                id: point.id,
+                name: point.name,
+                priority: point.priority,
+                tolerance,
+                target: Math.round(target * 10) / 10,
+                patternMeasurement: analyzed.patternMeasurement,
+                actualMeasurement: analyzed.actualMeasurement,
+                differenceFromDesired: analyzed.differenceFromDesired,
+                withinTolerance: excess === 0,
+                fits: point.priority !== 'must' || analyzed.differenceFromDesired >= -tolerance,
+                weightedError: weight * excess,
+                weightedDistance: weight * Math.abs(analyzed.differenceFromDesired)
+            });
+        }
+        
+        return {
+            name: size.name,
+            points: sizePoints,
+            length,
+            fits: sizePoints.every(p => p.fits),
+            score: Math.round(sizePoints.reduce((sum, p) => sum + p.weightedError, 0) * 10) / 10,
+            distance: sizePoints.reduce((sum, p) => sum + p.weightedDistance, 0)
+        };
+    }).filter(s => s.points.length > 0);
+    
+    if (rankedSizes.length === 0) return { error: 'No valid sizes entered' };
+    
+    const allSizes = rankedSizes.slice();
+    rankedSizes.sort((a, b) => (b.fits - a.fits) || (a.score - b.score) || (a.distance - b.distance));
+    
+    const bestMatch = rankedSizes[0];
+    const runnerUp = rankedSizes[1] || null;
+    
+    let decidingPoint = null;
+    if (runnerUp) {
+        const failedMust = bestMatch.fits && !runnerUp.fits ? runnerUp.points.find(p => !p.fits) : null;
+        if (failedMust) {
+            decidingPoint = { id: failedMust.id, name: failedMust.name, reason: 'must-fit' };
+        } else {
+            const useError = bestMatch.score !== runnerUp.score;
+            let largestGap = -Infinity;
+            for (const bestPoint of bestMatch.points) {
+                const otherPoint = runnerUp.points.find(p => p.id === bestPoint.id);
+                if (!otherPoint) continue;
+                const gap = useError
+                    ? otherPoint.weightedError - bestPoint.weightedError
+                    : otherPoint.weightedDistance - bestPoint.weightedDistance;
+                if (gap > largestGap) {
+                    largestGap = gap;
+                    decidingPoint = { id: bestPoint.id, name: bestPoint.name, reason: 'error' };
+                }
+            }
+        }
+    }
+    
+    return {
+        bestMatch,
+        runnerUp,
+        decidingPoint,
+        allFit: bestMatch.fits,
+        allSizes,
+        rankedSizes,
+        pointAnalyses,
+        gaugeRatio: Math.round((personalGaugeH / patternGaugeH) * 100) / 100
+    };
+}
+
+/**
+ * How much bigger a piece comes out when its stitch and row counts are
+ * worked at your gauge: areaFactor = (patternGaugeH / personalGaugeH) *
+ * (patternGaugeV / personalGaugeV). Without row gauges the rows are assumed
+ * to change in proportion to the stitches.
+ */
+export function calculateFabricAreaFactor(personalGaugeH, patternGaugeH, personalGaugeV, patternGaugeV) {
+    if (!personalGaugeH || !patternGaugeH) return null;
+    
+    const stitchRatio = patternGaugeH / personalGaugeH;
+    const rowsAssumed = !personalGaugeV || !patternGaugeV;
+    const rowRatio = rowsAssumed ? stitchRatio : patternGaugeV / personalGaugeV;
+    
+    return {
+        stitchRatio: Math.round(stitchRatio * 1000) / 1000,
+        rowRatio: Math.round(rowRatio * 1000) / 1000,
+        rowsAssumed,
+        factor: Math.round(stitchRatio * rowRatio * 1000) / 1000
+    };
+}
+
+/**
+ * Yarn for one size: the pattern's yardage (metres) scaled by the fabric
+ * area factor, since yarn use grows with the area knitted. `margin` is the
+ * safety allowance as a fraction (0.1 = 10%). With `yarn` ({ metersPerSkein,
+ * gramsPerSkein }) the amount is also given in skeins and grams.
+ */
+export function estimateYarnQuantity(patternYardage, areaFactor, yarn = {}, margin = 0) {
+    if (!patternYardage || !areaFactor) return null;
+    
+    const meters = patternYardage * areaFactor;
+    const withMargin = meters * (1 + Math.max(0, margin || 0));
+    const { metersPerSkein, gramsPerSkein } = yarn || {};
+    
+    return {
+        patternYardage,
+        meters: Math.round(meters),
+        withMargin: Math.round(withMargin),
+        skeins: metersPerSkein ? Math.ceil(withMargin / metersPerSkein - 1e-9) : null,
+        grams: metersPerSkein && gramsPerSkein ? Math.round(withMargin / metersPerSkein * gramsPerSkein) : null
+    };
+}
+
+/**
+ * estimateYarnQuantity for every size of a size analysis (analyzeAllSizes or
+ * rankSizesByFit) that has a yardage in `yardages` ({ sizeName: metres }).
+ * `recommended` is the estimate for the analysis's best match, or null when
+ * that size has no yardage. `areaFactor` is a calculateFabricAreaFactor
+ * result.
+ */
+export function estimateYarnForSizes(analysis, yardages, areaFactor, yarn = {}, margin = 0) {
+    if (!analysis || !areaFactor) return { error: 'Missing required values' };
+    
+    const sizes = analysis.allSizes
+        .filter(size => yardages[size.name])
+        .map(size => ({
+            name: size.name,
+            recommended: size.name === analysis.bestMatch.name,
+            ...estimateYarnQuantity(yardages[size.name], areaFactor.factor, yarn, margin)
+        }));
+    
+    if (sizes.length === 0) return { error: 'No pattern yardage entered' };
+    
+    return {
+        areaFactor,
+        margin,
+        sizes,
+        recommended: sizes.find(size => size.recommended) || null
+    };
+}
+
+/**
+ * Compares a substitute yarn with the pattern's by grist (metres per gram):
+ * a ratio above 1 means the substitute is finer (more metres per gram).
+ * More than 10% either way is flagged, since it is unlikely to knit to the
+ * same gauge. Returns null unless both yarns have length and weight.
+ */
+export function compareYarns(patternYarn, yarn) {
+    if (!patternYarn?.metersPerSkein || !patternYarn?.gramsPerSkein || !yarn?.metersPerSkein || !yarn?.gramsPerSkein) return null;
+    
+    const patternGrist = patternYarn.metersPerSkein / patternYarn.gramsPerSkein;
+    const grist = yarn.metersPerSkein / yarn.gramsPerSkein;
+    const ratio = grist / patternGrist;
+    
+    return {
+        patternMetersPerGram: Math.round(patternGrist * 100) / 100,
+        metersPerGram: Math.round(grist * 100) / 100,
+        ratio: Math.round(ratio * 100) / 100,
+        similar: Math.abs(ratio - 1) <= 0.1
+    };
+}
+
+export const COUNT_TYPES = ['stitches', 'rows', 'fixed'];
+
+/**
+ * Classify every number in a line of pattern text by its context:
+ * stitches ("CO 96", "80 sts"), rows ("40 rows"), shaping intervals
+ * ("every 6th row"), shaping repeats ("8 times") or fixed (row labels,
+ * per-row shaping like "dec 1", measured lengths). Both counts of a rate
+ * ("3 sts for every 4 rows") are marked `rate`. Numbers glued to letters
+ * ("k2tog", "K7") are stitch instructions and are left alone.
+ */
+export function classifyPatternCount(before, after) {
+    if (/^\s*(sts?|stitches)\s+(for\s+)?(every|per|in)\s+\d+(st|nd|rd|th)?\s*(rows?|rounds?|rnds?)\b/i.test(after)) {
+        return { type: 'stitches', rate: true };
+    }
+    if (/\b(sts?|stitches)\s+(for\s+)?(every|per|in)\s+$/i.test(before) && /^(st|nd|rd|th)?\s*(rows?|rounds?|rnds?)\b/i.test(after)) {
+        return { type: 'rows', rate: true };
+    }
+    if (/every\s+$/i.test(before) && /^(st|nd|rd|th)?\s*(rows?|rounds?|rnds?)\b/i.test(after)) return { type: 'interval' };
+    if (/^\s*(times|x)\b/i.test(after)) return { type: 'times' };
+    if (/^\s*(cm|mm|in|inch|inches|")/i.test(after)) return { type: 'fixed' };
+    if (/^\s*(sts?|stitches)\b/i.test(after)) {
+        return { type: 'stitches', total: /\b(co|cast on|pick up|pick up and knit|pu)\s*$/i.test(before), shaping: /\b(dec|decrease|inc|increase)\s*$/i.test(before) };
+    }
+    if (/\b(co|cast on|pick up|pick up and knit|pu)\s*$/i.test(before)) return { type: 'stitches', total: true };
+    if (/\b(bo|bind off|cast off)\s*$/i.test(before)) return { type: 'stitches' };
+    if (/\b(rows?|rounds?|rnds?)\s*$/i.test(before)) return { type: 'fixed' };
+    if (/^\s*(rows?|rounds?|rnds?)\b/i.test(after)) return { type: 'rows' };
+    return { type: 'fixed' };
+}
+
+function ordinalSuffix(n) {
+    const lastTwo = n % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return 'th';
+    return { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+}
+
+/**
+ * Finds the counts in each line of pattern text and classifies them with
+ * classifyPatternCount. Returns one { text, tokens, paired } per line, where
+ * `paired` marks shaping worked at both ends.
+ */
+export function parsePatternInstructions(text) {
+    return text.split('\n').map(line => {
+        const tokens = [];
+        const numberPattern = /(?<![A-Za-z\d.])\d+(?![\d.]*[A-Za-z]*\d)/g;
+        let match;
+        while ((match = numberPattern.exec(line)) !== null) {
+            const before = line.slice(0, match.index);
+            const after = line.slice(match.index + match[0].length);
+            tokens.push({
+                start: match.index,
+                end: match.index + match[0].length,
+                value: parseInt(match[0]),
+                ...classifyPatternCount(before, after)
+            });
+        }
+        return {
+            text: line,
+            tokens,
+            paired: /each (side|end)|both (sides|ends)|at each end/i.test(line)
+        };
+    });
+}
+
+/**
+ * Rewrite parsed pattern counts for a new gauge. Stitch counts scale with
+ * stitch gauge, row counts with row gauge. A shaping line ("every 6th row
+ * 8 times") is converted as a whole: the number of shaping rows scales with
+ * stitch gauge and the rows they are worked over with row gauge. When those
+ * rows don't divide evenly, the text gets the full shaping description
+ * ("every 5th row 2 times, then every 4th row 4 times") instead. A rate
+ * ("3 sts for every 4 rows") keeps its rows and scales its stitches by the
+ * stitch ratio over the row ratio, falling back to the nearest simple rate
+ * when rounding would be more than 5% out. Cast-on and pick-up totals round
+ * to the stitch multiple; paired shaping totals stay even.
+ */
+export function convertPatternInstructions(lines, stitchRatio, rowRatio, multiple = 1, offset = 0) {
+    return lines.map(line => {
+        const interval = line.tokens.find(t => t.type === 'interval');
+        const times = line.tokens.find(t => t.type === 'times');
+        let shaping = null;
+        if (interval && times) {
+            const newTimes = Math.max(1, Math.round(times.value * stitchRatio));
+            const newRows = Math.max(newTimes, Math.round(interval.value * times.value * rowRatio));
+            const { steps } = distributeShapingRows(newTimes, newRows);
+            shaping = {
+                times: newTimes,
+                interval: Math.max(1, Math.round(newRows / newTimes)),
+                rows: newRows,
+                steps,
+                description: describeShapingSteps(steps)
+            };
+        }
+        
+        const rateStitches = line.tokens.find(t => t.rate && t.type === 'stitches');
+        const rateRows = line.tokens.find(t => t.rate && t.type === 'rows');
+        let rate = null;
+        if (rateStitches && rateRows) {
+            const exact = rateStitches.value * stitchRatio / rowRatio / rateRows.value;
+            let stitches = Math.max(1, Math.round(exact * rateRows.value));
+            let rows = rateRows.value;
+            if (Math.abs(stitches / rows - exact) > exact * 0.05) {
+                const simple = approximateRatio(exact, 1, Math.max(10, 2 * rows, 2 * stitches));
+                if (simple) ({ a: stitches, b: rows } = simple);
+            }
+            rate = { stitches, rows };
+        }
+        
+        const tokens = line.tokens.map(token => {
+            let converted = token.value;
+            if (rate && token === rateStitches) {
+                converted = rate.stitches;
+            } else if (rate && token === rateRows) {
+                converted = rate.rows;
+            } else if (token.type === 'stitches') {
+                const scaled = token.value * stitchRatio;
+                if (token.total) {
+                    converted = roundToMultiple(scaled, multiple, offset);
+                } else if (token.shaping && line.paired) {
+                    converted = Math.max(2, Math.round(scaled / 2) * 2);
+                } else {
+                    converted = Math.max(1, Math.round(scaled));
+                }
+            } else if (token.type === 'rows') {
+                converted = Math.max(1, Math.round(token.value * rowRatio));
+            } else if (token.type === 'interval') {
+                converted = shaping ? shaping.interval : Math.max(1, Math.round(token.value * rowRatio));
+            } else if (token.type === 'times') {
+                converted = shaping ? shaping.times : token.value;
+            }
+            return { ...token, converted };
+        });
+        
+        const span = shaping && shaping.steps.length > 1 ? shapingPhraseSpan(line.text, interval, times) : null;
+        let text = '';
+        let position = 0;
+        tokens.forEach((token, i) => {
+            if (span && token.start >= span.start && token.end <= span.end) {
+                if (line.tokens[i] === interval) {
+                    text += line.text.slice(position, span.start) + shaping.description;
+                    position = span.end;
+                }
+                return;
+            }
+            text += line.text.slice(position, token.start) + token.converted;
+            position = token.end;
+            const suffix = token.type === 'interval' && line.text.slice(position).match(/^(st|nd|rd|th)\b/i);
+            if (suffix) {
+                text += ordinalSuffix(token.converted);
+                position += suffix[0].length;
+            }
+        });
+        text += line.text.slice(position);
+        
+        return { ...line, tokens, shaping, converted: text };
+    });
+}
+
+/**
+ * Where "every 4th row 6 times" sits in a line, from "every" to "times", or
+ * null when the interval and times aren't written together that way.
+ */
+function shapingPhraseSpan(text, interval, times) {
+    const start = text.slice(0, interval.start).search(/every\s+$/i);
+    const rows = text.slice(interval.end).match(/^(st|nd|rd|th)?\s*(rows?|rounds?|rnds?)\b/i);
+    const timesWord = text.slice(times.end).match(/^\s*(times|x)\b/i);
+    if (start < 0 || !rows || !timesWord || times.start < interval.end + rows[0].length) return null;
+    if (!/^\s*,?\s*$/.test(text.slice(interval.end + rows[0].length, times.start))) return null;
+    return { start, end: times.end + timesWord[0].length };
+}
+
+/**
+ * Charts are at most this many stitches across and rows high, so previews
+ * stay quick to draw.
+ */
+export const CHART_MAX_SIZE = 200;
+
+/**
+ * Symbols for the shades of a traced image, lightest first.
+ */
+const CHART_SHADE_SYMBOLS = ['.', 'x', 'o', '#', '+', '*'];
+
+/**
+ * A chart from rows of symbols, padded with the background "." to the
+ * widest row. Symbols are listed from most to least used, so the first is
+ * the main colour, unless `symbols` gives their order.
+ */
+function chartFromCells(cells, symbols = null, palette = null) {
+    const stitches = Math.max(...cells.map(row => row.length));
+    const padded = cells.map(row => [...row, ...Array(stitches - row.length).fill('.')]);
+    
+    const counts = new Map();
+    padded.flat().forEach(symbol => counts.set(symbol, (counts.get(symbol) || 0) + 1));
+    const order = symbols || [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+    
+    const chart = {
+        stitches,
+        rows: padded.length,
+        cells: padded,
+        symbols: order,
+        counts: Object.fromEntries(order.map(symbol => [symbol, counts.get(symbol) || 0]))
+    };
+    if (palette) chart.palette = palette;
+    return chart;
+}
+
+/**
+ * Reads a colourwork chart typed or pasted as text: CSV or tab-separated
+ * cells, or a character grid with one character per stitch ("..x.." for
+ * each row). Rows are read top to bottom, as charted; blank cells and
+ * spaces are background ("."). Returns { stitches, rows, cells: [[symbol]
+ * per row], symbols, counts: { symbol: stitches } }, null for blank text,
+ * or { error } for a chart larger than CHART_MAX_SIZE.
+ */
+export function parseChart(text) {
+    if (!text || !text.trim()) return null;
+    
+    const lines = text.split(/\r?\n/).map(line => line.trimEnd());
+    while (lines[0] === '') lines.shift();
+    while (lines[lines.length - 1] === '') lines.pop();
+    
+    const rows = /[,;\t]/.test(lines[0])
+        ? parseDelimitedText(lines.join('\n'))
+        : lines.map(line => [...line]);
+    const cells = rows.map(row => row.map(cell => cell.trim() || '.'));
+    
+    const stitches = Math.max(...cells.map(row => row.length));
+    if (stitches > CHART_MAX_SIZE || cells.length > CHART_MAX_SIZE) {
+        return { error: `The chart is ${stitches} stitches × ${cells.length} rows; charts can be at most ${CHART_MAX_SIZE} × ${CHART_MAX_SIZE}` };
+    }
+    return chartFromCells(cells);
+}
+
+/**
+ * The knitted size of a chart at a gauge, in cm. Stitches are rarely
+ * square, so a chart drawn on square paper knits up squatter or taller:
+ * `aspect` is the height of one stitch over its width (gaugeH / gaugeV).
+ */
+export function calculateChartSize(stitches, rows, gaugeH, gaugeV) {
+    if (!stitches || !rows || !gaugeH || !gaugeV) return null;
+    
+    const stitchWidth = 10 / gaugeH;
+    const rowHeight = 10 / gaugeV;
+    return {
+        stitches,
+        rows,
+        stitchWidth,
+        rowHeight,
+        width: stitches * stitchWidth,
+        height: rows * rowHeight,
+        aspect: gaugeH / gaugeV
+    };
+}
+
+/**
+ * Stitch and row counts that knit a chart (or image) of `sourceStitches` ×
+ * `sourceRows` cells to a finished `width` × `height` in cm. Given only
+ * one of the two, the other keeps the source's proportions as drawn on
+ * square paper (or as the image's pixels). Returns { stitches, rows, width,
+ * height } with the size the rounded counts actually knit to, null without
+ * a gauge or a target size, or { error } when the counts would exceed
+ * CHART_MAX_SIZE.
+ */
+export function calculateChartResize(sourceStitches, sourceRows, gaugeH, gaugeV, width, height) {
+    if (!sourceStitches || !sourceRows || !gaugeH || !gaugeV || (!width && !height)) return null;
+    
+    const targetWidth = width || height * sourceStitches / sourceRows;
+    const targetHeight = height || width * sourceRows / sourceStitches;
+    const stitches = Math.max(1, Math.round(targetWidth * gaugeH / 10));
+    const rows = Math.max(1, Math.round(targetHeight * gaugeV / 10));
+    
+    if (stitches > CHART_MAX_SIZE || rows > CHART_MAX_SIZE) {
+        return { error: `That size takes ${stitches} stitches × ${rows} rows at your gauge; charts can be at most ${CHART_MAX_SIZE} × ${CHART_MAX_SIZE}` };
+    }
+    return { stitches, rows, width: stitches * 10 / gaugeH, height: rows * 10 / gaugeV };
+}
+
+/**
+ * Redraws a chart on a stitches × rows grid, each new cell taking the
+ * symbol under its centre. The symbol order (and any palette) carries
+ * over, so colours stay the same.
+ */
+export function resampleChart(chart, stitches, rows) {
+    const cells = Array.from({ length: rows }, (_, row) => {
+        const sourceRow = chart.cells[Math.floor((row + 0.5) * chart.rows / rows)];
+        return Array.from({ length: stitches }, (_, stitch) => sourceRow[Math.floor((stitch + 0.5) * chart.stitches / stitches)]);
+    });
+    return chartFromCells(cells, chart.symbols, chart.palette);
+}
+
+/**
+ * Traces an image onto a stitches × rows chart. Each stitch takes the
+ * average colour of the pixels it covers (transparent pixels count as
+ * white), and stitches are split by lightness into `colours` shades spaced
+ * evenly from the lightest to the darkest. `image` is { width, height,
+ * data } with RGBA bytes, as from a canvas. The chart's symbols run from
+ * lightest (".") to darkest, with a `palette` of each shade's average
+ * colour as "#rrggbb".
+ */
+export function chartFromPixels(image, stitches, rows, colours = 2) {
+    colours = Math.min(Math.max(Math.round(colours) || 2, 2), CHART_SHADE_SYMBOLS.length);
+    
+    const averages = [];
+    for (let row = 0; row < rows; row++) {
+        const top = Math.floor(row * image.height / rows);
+        const bottom = Math.max(top + 1, Math.floor((row + 1) * image.height / rows));
+        for (let stitch = 0; stitch < stitches; stitch++) {
+            const left = Math.floor(stitch * image.width / stitches);
+            const right = Math.max(left + 1, Math.floor((stitch + 1) * image.width / stitches));
+            const sum = [0, 0, 0];
+            for (let y = top; y < bottom; y++) {
+                for (let x = left; x < right; x++) {
+                    const i = (y * image.width + x) * 4;
+                    const alpha = image.data[i + 3] / 255;
+                    for (let c = 0; c < 3; c++) sum[c] += image.data[i + c] * alpha + 255 * (1 - alpha);
+                }
+            }
+            const pixels = (bottom - top) * (right - left);
+            averages.push(sum.map(total => total / pixels));
+        }
+    }
+    
+    const lightness = averages.map(([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b);
+    const lightest = Math.max(...lightness);
+    const darkest = Math.min(...lightness);
+    const shades = lightness.map(l => (lightest === darkest
+        ? 0
+        : Math.min(colours - 1, Math.floor((lightest - l) / (lightest - darkest) * colours))));
+    
+    const cells = Array.from({ length: rows }, (_, row) =>
+        shades.slice(row * stitches, (row + 1) * stitches).map(shade => CHART_SHADE_SYMBOLS[shade]));
+    
+    const palette = {};
+    for (let shade = 0; shade < colours; shade++) {
+        const members = averages.filter((_, i) => shades[i] === shade);
+        if (members.length === 0) continue;
+        const hex = [0, 1, 2]
+            .map(c => Math.round(members.reduce((total, colour) => total + colour[c], 0) / members.length))
+            .map(value => value.toString(16).padStart(2, '0'))
+            .join('');
+        palette[CHART_SHADE_SYMBOLS[shade]] = `#${hex}`;
+    }
+    
+    return chartFromCells(cells, Object.keys(palette), palette);
+}
+
+/**
+ * A chart back to text parseChart reads: a character grid, or CSV when
+ * `format` is 'csv' or a symbol is longer than one character.
+ */
+export function chartToText(chart, format = 'grid') {
+    if (format === 'csv' || chart.symbols.some(symbol => symbol.length !== 1)) {
+        return toDelimitedText(chart.cells);
+    }
+    return chart.cells.map(row => row.join('')).join('\n');
+}
+
+/**
+ * Splits CSV or TSV text, as pasted from a spreadsheet, into rows of cells.
+ * The delimiter is a tab when the first line has one, otherwise a comma or
+ * semicolon, whichever the first line uses more. Quoted cells may contain
+ * delimiters, line breaks and doubled quotes. Blank lines are dropped.
+ */
+export function parseDelimitedText(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const occurrences = char => firstLine.split(char).length - 1;
+    const delimiter = occurrences('\t') > 0 ? '\t' : occurrences(';') > occurrences(',') ? ';' : ',';
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    rows.push(row);
+    
+    return rows.filter(r => r.some(c => c !== ''));
+}
+
+/**
+ * Reads a size table: the size name first, then one column per
+ * measurement, plus optional "Rows", "Cast-on" and "Yarn" (yardage)
+ * columns. A header row is recognised by non-numeric cells after the name
+ * and supplies the measurement names; without one they are called
+ * Measurement 1, 2, ... Decimal commas are accepted. Returns { named,
+ * points: [name], sizes: [{ name, measurements: [value or null per point],
+ * lengthRows, castOn, yardage }] } or { error }, where `named` says whether
+ * the table had a header row.
+ */
+export function parseSizeTable(text) {
+    const rows = parseDelimitedText(text);
+    if (rows.length === 0) return { error: 'The table is empty' };
+    
+    const number = cell => {
+        const value = parseFloat(String(cell || '').replace(',', '.'));
+        return Number.isFinite(value) ? value : null;
+    };
+    
+    const width = Math.max(...rows.map(r => r.length));
+    if (width < 2) return { error: 'Expected a size name column and at least one measurement column' };
+    
+    const hasHeader = rows[0].slice(1).some(cell => cell !== '' && number(cell) === null);
+    const header = hasHeader ? rows[0] : [];
+    const body = hasHeader ? rows.slice(1) : rows;
+    
+    const columns = [];
+    for (let i = 1; i < width; i++) {
+        const name = header[i] || '';
+        const kind = /^(length )?rows$/i.test(name) ? 'lengthRows'
+            : /^cast[\s-]?on/i.test(name) ? 'castOn'
+            : /^(yarn|yardage|meterage|metres|meters|yards)\b/i.test(name) ? 'yardage'
+            : 'measurement';
+        const measurementNumber = columns.filter(c => c.kind === 'measurement').length + 1;
+        columns.push({ index: i, kind, name: name || `Measurement ${measurementNumber}` });
+    }
+    
+    const measurementColumns = columns.filter(c => c.kind === 'measurement');
+    if (measurementColumns.length === 0) return { error: 'No measurement columns found' };
+    if (body.length === 0) return { error: 'No sizes found below the header row' };
+    
+    const countColumn = kind => columns.find(c => c.kind === kind);
+    const count = (row, kind) => {
+        const column = countColumn(kind);
+        const value = column ? number(row[column.index]) : null;
+        return value ? Math.round(value) : '';
+    };
+    
+    return {
+        named: hasHeader,
+        points: measurementColumns.map(c => c.name),
+        sizes: body.map((row, index) => ({
+            name: row[0] || `Size ${index + 1}`,
+            measurements: measurementColumns.map(c => number(row[c.index])),
+            lengthRows: count(row, 'lengthRows'),
+            castOn: count(row, 'castOn'),
+            yardage: (countColumn('yardage') && number(row[countColumn('yardage').index])) || ''
+        }))
+    };
+}
+
+/**
+ * Rows of cells back to CSV (or TSV with a tab delimiter), quoting cells
+ * that contain the delimiter, quotes or line breaks.
+ */
+export function toDelimitedText(rows, delimiter = ',') {
+    return rows.map(row => row.map(cell => {
+        const text = cell === null || cell === undefined ? '' : String(cell);
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter)).join('\n');
+}
+
+/**
+ * The size ranking from rankSizesByFit as spreadsheet rows, one per size in
+ * input order, with lengths in `lengthUnit`. With an estimateYarnForSizes
+ * result, yarn columns are added in that unit's yarn length.
+ */
+export function sizeAnalysisTable(analysis, lengthUnit = 'cm', yarn = null) {
+    const length = cm => roundTo(fromCentimeters(cm, lengthUnit));
+    const unit = LENGTH_UNITS[lengthUnit].label;
+    const points = analysis.pointAnalyses.map(p => p.point);
+    
+    const header = ['Size', 'Recommended', 'Fits', 'Score'];
+    for (const point of points) {
+        header.push(`${point.name} target (${unit})`, `${point.name} pattern (${unit})`, `${point.name} knitted (${unit})`, `${point.name} difference (${unit})`);
+    }
+    header.push('Pattern rows', 'Rows needed');
+    
+    const yarnUnit = LENGTH_UNITS[lengthUnit].yarn;
+    const yarnLength = m => Math.round(fromMeters(m, yarnUnit));
+    const withYarn = yarn && !yarn.error;
+    if (withYarn) header.push(`Pattern yarn (${yarnUnit})`, `Yarn needed (${yarnUnit})`, 'Skeins');
+    
+    const rows = analysis.allSizes.map(size => {
+        const row = [size.name, size.name === analysis.bestMatch.name ? 'yes' : '', size.fits ? 'yes' : 'no', size.score];
+        for (const point of points) {
+            const p = size.points.find(sp => sp.id === point.id);
+            row.push(...(p
+                ? [length(p.target), length(p.patternMeasurement), length(p.actualMeasurement), length(p.differenceFromDesired)]
+                : ['', '', '', '']));
+        }
+        row.push(size.length ? size.length.patternRows : '', size.length ? size.length.rowsNeeded : '');
+        if (withYarn) {
+            const estimate = yarn.sizes.find(y => y.name === size.name);
+            row.push(...(estimate
+                ? [yarnLength(estimate.patternYardage), yarnLength(estimate.withMargin), estimate.skeins ?? '']
+                : ['', '', '']));
+        }
+        return row;
+    });
+    
+    return [header, ...rows];
+}
+
+/**
+ * A pick-up as spreadsheet rows: how many stitches to pick up from each row
+ * (or stitch) of each segment of the edge.
+ */
+export function pickupDistributionTable(segments) {
+    const rows = [['Segment', 'Along', 'Position', 'Stitches picked up']];
+    segments.forEach((segment, index) => {
+        segment.distribution.forEach((count, position) => {
+            rows.push([`${index + 1}. ${segment.label}`, segment.unit, position + 1, count]);
+        });
+    });
+    return rows;
+}
+
+/**
+ * Every row (or bound-off stitch) along an edge, in order, for working a
+ * pick-up one place at a time. `segments` are [{ distribution, repeatLength }]
+ * as laid out for the result; each step says how many stitches to pick up
+ * there, how many are picked up once it is done, and whether it starts a
+ * segment or a repeat of `repeatLength` places (default: the whole segment).
+ */
+export function expandPickupChecklist(segments) {
+    const steps = [];
+    let pickedUp = 0;
+    
+    segments.forEach((segment, segmentIndex) => {
+        const repeatLength = segment.repeatLength || segment.distribution.length;
+        segment.distribution.forEach((count, position) => {
+            pickedUp += count;
+            steps.push({
+                segment: segmentIndex,
+                position,
+                count,
+                pickedUp,
+                repeat: Math.floor(position / repeatLength),
+                repeatPosition: position % repeatLength,
+                repeatStart: position % repeatLength === 0,
+                segmentStart: position === 0
+            });
+        });
+    });
+    
+    return steps;
+}
+
+/**
+ * The shortest repeat of a symmetric pick-up: `totalStitches` over
+ * `totalRows` reduced by their common divisor, laid out with
+ * generateSymmetricDistribution and described in words ("pick up 1 × 3
+ * rows → skip 1"). `unit`/`unitPlural` name what is picked up from. When
+ * there are more stitches than rows, `extra` says how a row gives more than
+ * one: 'double' picks them all up from it, 'increase' picks up 1 and makes
+ * the rest with M1.
+ */
+export function findMinimalRepeat(totalStitches, totalRows, unit = 'row', unitPlural = 'rows', extra = 'double') {
+    const units = count => `${count} ${count !== 1 ? unitPlural : unit}`;
+    const pickUp = stitches => (extra === 'increase' && stitches > 1
+        ? `pick up 1${', M1'.repeat(stitches - 1)}`
+        : `pick up ${stitches}`);
+    const g = gcd(totalStitches, totalRows);
+    const cycleStitches = totalStitches / g;
+    const cycleRows = totalRows / g;
+    
+    const pattern = generateSymmetricDistribution(cycleStitches, cycleRows);
+    
+    const sequences = [];
+    let i = 0;
+    while (i < pattern.length) {
+        const stitchCount = pattern[i];
+        let rows = 0;
+        while (i < pattern.length && pattern[i] === stitchCount) {
+            rows++;
+            i++;
+        }
+        sequences.push({ stitches: stitchCount, rows });
+    }
+    
+    let description;
+    if (sequences.length === 1) {
+        const s = sequences[0];
+        if (s.stitches === 0) {
+            description = `Skip ${units(s.rows)}`;
+        } else if (s.stitches === 1) {
+            description = `Pick up 1 from each of ${units(s.rows)}`;
+        } else {
+            description = `P${pickUp(s.stitches).slice(1)} ${extra === 'increase' ? 'at' : 'from'} each of ${units(s.rows)}`;
+        }
+    } else {
+        const parts = sequences.map(s => {
+            if (s.stitches === 0) {
+                return `skip ${s.rows}`;
+            } else if (s.rows === 1) {
+                return pickUp(s.stitches);
+            } else {
+                return `${pickUp(s.stitches)} × ${units(s.rows)}`;
+            }
+        });
+        description = parts.join(' → ');
+    }
+    
+    return {
+        cycleStitches,
+        cycleRows,
+        repeats: g,
+        pattern,
+        sequences,
+        description
+    };
+}
+
+/**
+ * HTML markup for a distribution: one dot per row, filled where stitches are
+ * picked up and numbered where more than one is.
+ */
+export function generateDotVisualization(distribution) {
+    return distribution.map(count => {
+        if (count === 0) {
+            return '<span class="dot"></span>';
+        } else if (count === 1) {
+            return '<span class="dot pickup"></span>';
+        } else {
+            return `<span class="dot pickup multi">${count}</span>`;
+        }
+    }).join('');
+}
@@ -1,65 +1,162 @@
+import {
+    LENGTH_UNITS, GAUGE_BASES, toCentimeters, fromCentimeters, toGaugePer10cm,
+    fromGaugePer10cm, roundTo, formatLength, formatSignedLength, formatGauge,
+    analyzeSwatchMeasurement, calculateAdjustedPickupRatio, EDGE_SEGMENT_TYPES,
+    calculateEdgePickup, constrainPickupCount,
+    describeDistribution, calculateShaping, calculateEvenRowShaping,
+    calculateGaugeCombination, calculateInBetweenSize, FIT_PRIORITIES,
+    rankSizesByFit, COUNT_TYPES, parsePatternInstructions,
+    convertPatternInstructions, parseSizeTable, toDelimitedText,
+    sizeAnalysisTable, pickupDistributionTable, findMinimalRepeat,
+    generateDotVisualization, expandPickupChecklist, YARN_UNITS, toMeters,
+    fromMeters, formatYarnLength, calculateFabricAreaFactor,
+    estimateYarnForSizes, compareYarns, JOIN_MODES, describeJoinRate,
+    CHART_MAX_SIZE, parseChart, calculateChartSize, calculateChartResize,
+    resampleChart, chartFromPixels, chartToText
+} from './knitit.js';
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const YARN_WEIGHTS = {
+    '': 'Not set',
+    lace: 'Lace',
+    fingering: 'Fingering',
+    sport: 'Sport',
+    dk: 'DK',
+    worsted: 'Worsted',
+    aran: 'Aran',
+    bulky: 'Bulky',
+    'super-bulky': 'Super bulky'
+};
+
 /**
- * Gauge calculation formula: targetPatternMeasurement = desiredMeasurement * (personalGauge / patternGauge)
- * Tighter gauge (more stitches/10cm) → need LARGER pattern size
- * Looser gauge (fewer stitches/10cm) → need SMALLER pattern size
+ * Checks and tidies swatch library data, e.g. from an imported file. Accepts
+ * either a bare array of swatches or `{ swatches: [...] }`. Gauges are per
+ * 10cm; a swatch needs at least one complete gauge (before or after blocking).
  */
-function calculateTargetPatternMeasurement(personalGauge, patternGauge, desiredMeasurement) {
-    if (!personalGauge || !patternGauge || !desiredMeasurement) return null;
-    return desiredMeasurement * (personalGauge / patternGauge);
+function normalizeSwatchLibrary(data) {
+    const list = Array.isArray(data) ? data : data && data.swatches;
+    if (!Array.isArray(list)) {
+        return { error: 'Expected a list of swatches' };
+    }
+    
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const positive = value => (Number(value) > 0 ? Number(value) : null);
+    const gauge = value => {
+        const g = { gaugeH: positive(value && value.gaugeH), gaugeV: positive(value && value.gaugeV) };
+        return g.gaugeH && g.gaugeV ? g : null;
+    };
+    
+    const swatches = [];
+    for (const [index, entry] of list.entries()) {
+        if (!entry || typeof entry !== 'object') {
+            return { error: `Swatch ${index + 1} is not an object` };
+        }
+        const swatch = {
+            id: text(entry.id) || `swatch-${Date.now().toString(36)}-${index}`,
+            name: text(entry.name) || `Swatch ${index + 1}`,
+            yarn: text(entry.yarn),
+            weight: Object.hasOwn(YARN_WEIGHTS, entry.weight) ? entry.weight : '',
+            needle: positive(entry.needle),
+            stitchPattern: text(entry.stitchPattern),
+            before: gauge(entry.before),
+            after: gauge(entry.after),
+            notes: text(entry.notes)
+        };
+        if (!swatch.before && !swatch.after) {
+            return { error: `"${swatch.name}" has no gauge` };
+        }
+        swatches.push(swatch);
+    }
+    
+    return { swatches };
 }
 
 /**
- * Actual measurement formula: actualMeasurement = patternMeasurement * (patternGauge / personalGauge)
+ * The gauge to knit to from a library swatch: after blocking when known,
+ * since that is the fabric the garment ends up as.
  */
-function calculateActualMeasurement(personalGauge, patternGauge, patternMeasurement) {
-    if (!personalGauge || !patternGauge || !patternMeasurement) return null;
-    return patternMeasurement * (patternGauge / personalGauge);
+function swatchLibraryGauge(swatch) {
+    return swatch.after
+        ? { ...swatch.after, blocked: true }
+        : { ...swatch.before, blocked: false };
 }
 
-function gcd(a, b) {
-    a = Math.round(a);
-    b = Math.round(b);
-    while (b !== 0) {
-        const temp = b;
-        b = a % b;
-        a = temp;
-    }
-    return a;
-}
+/** The motif the two-colour preview repeats; 'x' is the contrast colour. */
+const TWO_COLOUR_CHART = [
+    '..x...',
+    '.x.x..',
+    'x...x.',
+    '.x.x..',
+    '..x...',
+    '......'
+];
+
+/**
+ * Stitch patterns the swatch previews can draw. `stitch(row, col)` says how
+ * the stitch at that position looks from the right side: 'knit', 'purl', or
+ * 'contrast' for a knit stitch in the second colour.
+ */
+const STITCH_PATTERNS = {
+    stockinette: { label: 'Stockinette', stitch: () => 'knit' },
+    reverse: { label: 'Reverse stockinette', stitch: () => 'purl' },
+    garter: { label: 'Garter', stitch: row => (row % 2 === 0 ? 'purl' : 'knit') },
+    rib1: { label: 'K1, p1 rib', stitch: (row, col) => (col % 2 === 0 ? 'knit' : 'purl') },
+    rib2: { label: 'K2, p2 rib', stitch: (row, col) => (col % 4 < 2 ? 'knit' : 'purl') },
+    seed: { label: 'Seed stitch', stitch: (row, col) => ((row + col) % 2 === 0 ? 'knit' : 'purl') },
+    colorwork: {
+        label: 'Two-colour chart',
+        stitch: (row, col) => {
+            const chartRow = TWO_COLOUR_CHART[row % TWO_COLOUR_CHART.length];
+            return chartRow[col % chartRow.length] === 'x' ? 'contrast' : 'knit';
+        }
+    }
+};
+
+const CONTRAST_COLOR = '#D4A574';
 
-function simplifyRatio(a, b) {
-    const divisor = gcd(a, b);
-    return { a: Math.round(a / divisor), b: Math.round(b / divisor) };
+/**
+ * One stitch in a cell of the swatch grid: a V for a knit stitch, a bump
+ * across the cell for a purl.
+ */
+function stitchPath(kind, x, y, stitchWidth, rowHeight) {
+    if (kind === 'purl') {
+        return `
+            M ${x + stitchWidth * 0.1} ${y + rowHeight * 0.65}
+            Q ${x + stitchWidth * 0.5} ${y + rowHeight * 0.05} ${x + stitchWidth * 0.9} ${y + rowHeight * 0.65}
+        `;
+    }
+    return `
+        M ${x + stitchWidth * 0.15} ${y + rowHeight * 0.2}
+        Q ${x + stitchWidth * 0.5} ${y + rowHeight * 0.9} ${x + stitchWidth * 0.5} ${y + rowHeight * 0.85}
+        Q ${x + stitchWidth * 0.5} ${y + rowHeight * 0.9} ${x + stitchWidth * 0.85} ${y + rowHeight * 0.2}
+    `;
 }
 
-let _swatchIdCounter = 0;
-function renderSwatchSVG(gaugeH, gaugeV, sizeCm, color = '#8B5A6B', opacity = 1) {
-    const pixelsPerCm = 30;
-    const width = sizeCm * pixelsPerCm;
-    const height = sizeCm * pixelsPerCm;
-    
-    const stitchWidth = (sizeCm / gaugeH) * pixelsPerCm;
-    const rowHeight = (sizeCm / gaugeV) * pixelsPerCm;
+function renderStitches(cols, rows, stitchWidth, rowHeight, color, opacity, pattern) {
+    const { stitch } = STITCH_PATTERNS[pattern] || STITCH_PATTERNS.stockinette;
     
     let stitches = '';
-    const cols = Math.ceil(gaugeH) + 1;
-    const rows = Math.ceil(gaugeV) + 1;
-    
     for (let row = 0; row < rows; row++) {
         for (let col = 0; col < cols; col++) {
-            const x = col * stitchWidth;
-            const y = row * rowHeight;
-            
-            const vPath = `
-                M ${x + stitchWidth * 0.15} ${y + rowHeight * 0.2}
-                Q ${x + stitchWidth * 0.5} ${y + rowHeight * 0.9} ${x + stitchWidth * 0.5} ${y + rowHeight * 0.85}
-                Q ${x + stitchWidth * 0.5} ${y + rowHeight * 0.9} ${x + stitchWidth * 0.85} ${y + rowHeight * 0.2}
-            `;
-            
-            stitches += `<path d="${vPath}" stroke="${color}" stroke-width="1.5" fill="none" opacity="${opacity}"/>`;
+            const kind = stitch(row, col);
+            const path = stitchPath(kind, col * stitchWidth, row * rowHeight, stitchWidth, rowHeight);
+            const stroke = kind === 'contrast' ? CONTRAST_COLOR : color;
+            const strokeWidth = kind === 'contrast' ? 2.5 : 1.5;
+            stitches += `<path d="${path}" stroke="${stroke}" stroke-width="${strokeWidth}" fill="none" opacity="${opacity}"/>`;
         }
     }
-    
+    return stitches;
+}
+
+let _swatchIdCounter = 0;
+function wrapSwatchSVG(width, height, stitches) {
     const clipId = `swatch-clip-${_swatchIdCounter++}`;
     return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
         <defs>
@@ -74,53 +171,42 @@ function renderSwatchSVG(gaugeH, gaugeV, sizeCm, color = '#8B5A6B', opacity = 1)
     </svg>`;
 }
 
-function renderSwatchByCount(gaugeH, gaugeV, cols, rows, color = '#8B5A6B', opacity = 1) {
+function renderSwatchSVG(gaugeH, gaugeV, sizeCm, color = '#8B5A6B', opacity = 1, pattern = 'stockinette') {
+    const pixelsPerCm = 30;
+    const width = sizeCm * pixelsPerCm;
+    const height = sizeCm * pixelsPerCm;
+    
+    const stitchWidth = (sizeCm / gaugeH) * pixelsPerCm;
+    const rowHeight = (sizeCm / gaugeV) * pixelsPerCm;
+    
+    const cols = Math.ceil(gaugeH) + 1;
+    const rows = Math.ceil(gaugeV) + 1;
+    
+    return wrapSwatchSVG(width, height, renderStitches(cols, rows, stitchWidth, rowHeight, color, opacity, pattern));
+}
+
+function renderSwatchByCount(gaugeH, gaugeV, cols, rows, color = '#8B5A6B', opacity = 1, pattern = 'stockinette') {
     const pixelsPerCm = 30;
     const stitchWidth = (10 / gaugeH) * pixelsPerCm;
     const rowHeight = (10 / gaugeV) * pixelsPerCm;
     const width = cols * stitchWidth;
     const height = rows * rowHeight;
     
-    let stitches = '';
-    for (let row = 0; row < rows; row++) {
-        for (let col = 0; col < cols; col++) {
-            const x = col * stitchWidth;
-            const y = row * rowHeight;
-            
-            const vPath = `
-                M ${x + stitchWidth * 0.15} ${y + rowHeight * 0.2}
-                Q ${x + stitchWidth * 0.5} ${y + rowHeight * 0.9} ${x + stitchWidth * 0.5} ${y + rowHeight * 0.85}
-                Q ${x + stitchWidth * 0.5} ${y + rowHeight * 0.9} ${x + stitchWidth * 0.85} ${y + rowHeight * 0.2}
-            `;
-            
-            stitches += `<path d="${vPath}" stroke="${color}" stroke-width="1.5" fill="none" opacity="${opacity}"/>`;
-        }
-    }
-    
-    const clipId = `swatch-clip-${_swatchIdCounter++}`;
-    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
-        <defs>
-            <clipPath id="${clipId}">
-                <rect width="${width}" height="${height}"/>
-            </clipPath>
-        </defs>
-        <rect width="${width}" height="${height}" fill="white" opacity="0"/>
-        <g clip-path="url(#${clipId})">
-            ${stitches}
-        </g>
-    </svg>`;
+    return wrapSwatchSVG(width, height, renderStitches(cols, rows, stitchWidth, rowHeight, color, opacity, pattern));
 }
 
-function renderSwatchComparison(gauge1H, gauge1V, gauge2H, gauge2V, mode = 'side-by-side') {
+function renderSwatchComparison(gauge1H, gauge1V, gauge2H, gauge2V, mode = 'side-by-side', gaugeBasis = '10cm', patterns = []) {
     const sizeCm = 5;
+    const [pattern1 = 'stockinette', pattern2 = 'stockinette'] = patterns;
+    const patternNote = pattern => (pattern === 'stockinette' ? '' : `, ${STITCH_PATTERNS[pattern].label.toLowerCase()}`);
     
     if (mode === 'overlay') {
         // Use a fixed stitch count so both swatches show the same number of stitches,
         // revealing the physical size difference between the two gauges.
         const refCols = Math.round(gauge1H * sizeCm / 10);
         const refRows = Math.round(gauge1V * sizeCm / 10);
-        const svg1 = renderSwatchByCount(gauge1H, gauge1V, refCols, refRows, '#8B5A6B', 0.8);
-        const svg2 = renderSwatchByCount(gauge2H, gauge2V, refCols, refRows, '#4A7C59', 0.8);
+        const svg1 = renderSwatchByCount(gauge1H, gauge1V, refCols, refRows, '#8B5A6B', 0.8, pattern1);
+        const svg2 = renderSwatchByCount(gauge2H, gauge2V, refCols, refRows, '#4A7C59', 0.8, pattern2);
         
         return `
             <div class="swatch-overlay">
@@ -128,255 +214,232 @@ function renderSwatchComparison(gauge1H, gauge1V, gauge2H, gauge2V, mode = 'side
                 <div class="swatch-layer">${svg2}</div>
             </div>
             <div class="swatch-legend">
-                <span><span class="legend-color legend-color-main"></span> Main fabric (${gauge1H}\u00d7${gauge1V})</span>
-                <span><span class="legend-color legend-color-border"></span> Border (${gauge2H}\u00d7${gauge2V})</span>
+                <span><span class="legend-color legend-color-main"></span> Main fabric (${formatGauge(gauge1H, gaugeBasis)}\u00d7${formatGauge(gauge1V, gaugeBasis)} / ${GAUGE_BASES[gaugeBasis].label}${patternNote(pattern1)})</span>
+                <span><span class="legend-color legend-color-border"></span> Border (${formatGauge(gauge2H, gaugeBasis)}\u00d7${formatGauge(gauge2V, gaugeBasis)} / ${GAUGE_BASES[gaugeBasis].label}${patternNote(pattern2)})</span>
             </div>
             <div class="swatch-info">${refCols} st \u00d7 ${refRows} rows</div>
         `;
     } else {
-        const svg1 = renderSwatchSVG(gauge1H, gauge1V, sizeCm, '#8B5A6B', 1);
-        const svg2 = renderSwatchSVG(gauge2H, gauge2V, sizeCm, '#4A7C59', 1);
+        const svg1 = renderSwatchSVG(gauge1H, gauge1V, sizeCm, '#8B5A6B', 1, pattern1);
+        const svg2 = renderSwatchSVG(gauge2H, gauge2V, sizeCm, '#4A7C59', 1, pattern2);
         
         return `
             <div class="swatch-side-by-side">
                 <div class="swatch-item">
                     <div class="swatch-label">Main fabric</div>
                     <div class="swatch-container">${svg1}</div>
-                    <div class="swatch-info">${gauge1H} st × ${gauge1V} rows / 10cm</div>
+                    <div class="swatch-info">${formatGauge(gauge1H, gaugeBasis)} st × ${formatGauge(gauge1V, gaugeBasis)} rows / ${GAUGE_BASES[gaugeBasis].label}</div>
                 </div>
                 <div class="swatch-item">
                     <div class="swatch-label">Border</div>
                     <div class="swatch-container">${svg2}</div>
-                    <div class="swatch-info">${gauge2H} st × ${gauge2V} rows / 10cm</div>
+                    <div class="swatch-info">${formatGauge(gauge2H, gaugeBasis)} st × ${formatGauge(gauge2V, gaugeBasis)} rows / ${GAUGE_BASES[gaugeBasis].label}</div>
                 </div>
             </div>
         `;
     }
 }
 
-function calculateAdjustedPickupRatio(patternStitches, patternRows, personalGaugeH, personalGaugeV, patternGaugeH, patternGaugeV) {
-    if (!patternStitches || !patternRows || !personalGaugeH || !personalGaugeV || !patternGaugeH || !patternGaugeV) {
-        return null;
-    }
+/**
+ * Chart colours for the usual chart symbols, background first. Other
+ * symbols take CHART_COLORS in the chart's symbol order.
+ */
+const CHART_SYMBOL_COLORS = { '.': '#F5EFE6', x: '#8B5A6B', o: '#4A7C59', '#': '#D4A574', '+': '#4A4A4A', '*': '#7A9CC6' };
+const CHART_COLORS = Object.values(CHART_SYMBOL_COLORS);
+
+function chartColor(chart, symbol) {
+    if (chart.palette && chart.palette[symbol]) return chart.palette[symbol];
+    return CHART_SYMBOL_COLORS[symbol] || CHART_COLORS[chart.symbols.indexOf(symbol) % CHART_COLORS.length];
+}
+
+/**
+ * A colourwork chart with cells `stitchWidth` × `rowHeight` px. Knitted
+ * charts draw each stitch as a V, like the swatch previews, once cells are
+ * big enough to see it; otherwise cells get the grid lines of chart paper.
+ * Cells carry `data-cell="row,stitch"` so a preview can be drawn on.
+ */
+function renderChartSVG(chart, stitchWidth, rowHeight, knitted = true) {
+    const width = chart.stitches * stitchWidth;
+    const height = chart.rows * rowHeight;
+    const showStitches = knitted && stitchWidth >= 6;
+    const grid = knitted ? '' : ' stroke="#D8CFC6" stroke-width="0.5"';
     
-    const adjustedStitches = patternStitches * (personalGaugeH / patternGaugeH);
-    const adjustedRows = patternRows * (personalGaugeV / patternGaugeV);
+    let cells = '';
+    chart.cells.forEach((row, r) => {
+        row.forEach((symbol, c) => {
+            const x = c * stitchWidth;
+            const y = r * rowHeight;
+            cells += `<rect x="${x}" y="${y}" width="${stitchWidth}" height="${rowHeight}" fill="${chartColor(chart, symbol)}"${grid} data-cell="${r},${c}"/>`;
+            if (showStitches) {
+                cells += `<path d="${stitchPath('knit', x, y, stitchWidth, rowHeight)}" stroke="#000" stroke-opacity="0.2" stroke-width="1" fill="none" pointer-events="none"/>`;
+            }
+        });
+    });
     
-    return {
-        rawStitches: adjustedStitches,
-        rawRows: adjustedRows,
-        ratio: adjustedStitches / adjustedRows
-    };
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">${cells}</svg>`;
 }
 
-function calculateDistribution(totalStitches, totalRows) {
-    if (totalStitches >= totalRows) {
-        return { error: 'Cannot pick up more stitches than rows' };
-    }
-    
-    const skips = totalRows - totalStitches;
-    const g = gcd(totalStitches, skips);
-    const pickupPerCycle = totalStitches / g;
-    const skipPerCycle = skips / g;
-    const cycleLength = pickupPerCycle + skipPerCycle;
+/**
+ * Swatch art is drawn at 30px per cm; exports keep that scale so a swatch
+ * prints at its real size.
+ */
+const EXPORT_PIXELS_PER_CM = 30;
+
+function svgSize(svg) {
+    const match = svg.match(/<svg[^>]*?\swidth="([\d.]+)"[^>]*?\sheight="([\d.]+)"/);
+    return match ? { width: parseFloat(match[1]), height: parseFloat(match[2]) } : { width: 0, height: 0 };
+}
+
+/**
+ * The pick-up diagram as SVG, matching the on-screen dots: one dot per row
+ * (or stitch) of the edge, filled where stitches are picked up, with the
+ * count on rows that take more than one. Each array in `segments` is a
+ * distribution from generateEvenDistribution/generateSymmetricDistribution;
+ * segments are separated by a short bar. Dots wrap at `maxWidth`.
+ */
+function renderPickupDiagramSVG(segments, maxWidth = 640) {
+    const size = 12;
+    const gap = 4;
+    const separator = 12;
+    let x = 0;
+    let y = 0;
+    let width = 0;
+    let shapes = '';
     
-    const pattern = [];
-    let remainingPickups = pickupPerCycle;
-    let remainingSkips = skipPerCycle;
+    const place = itemWidth => {
+        if (x > 0 && x + itemWidth > maxWidth) {
+            x = 0;
+            y += size + gap;
+        }
+        const at = x;
+        x += itemWidth + gap;
+        width = Math.max(width, x - gap);
+        return at;
+    };
     
-    while (remainingPickups > 0 || remainingSkips > 0) {
-        const pickupInThisGroup = Math.ceil(remainingPickups / (remainingPickups + remainingSkips) * (remainingPickups + remainingSkips > 1 ? 1 : 1));
-        
-        if (remainingPickups > 0 && remainingSkips > 0) {
-            const ratio = remainingPickups / remainingSkips;
-            if (ratio >= 1) {
-                pattern.push({ type: 'pickup', count: 1 });
-                remainingPickups--;
+    segments.forEach((distribution, index) => {
+        if (index > 0) {
+            const at = place(separator);
+            shapes += `<rect x="${at + separator / 2 - 1}" y="${y}" width="2" height="${size}" fill="#7A7A7A"/>`;
+        }
+        for (const count of distribution) {
+            if (count > 1) {
+                const pillWidth = 18;
+                const at = place(pillWidth);
+                shapes += `<rect x="${at}" y="${y}" width="${pillWidth}" height="${size}" rx="${size / 2}" fill="#8B5A6B"/>`;
+                shapes += `<text x="${at + pillWidth / 2}" y="${y + 9}" font-size="8" font-weight="600" fill="white" text-anchor="middle" font-family="Helvetica, Arial, sans-serif">${count}</text>`;
             } else {
-                pattern.push({ type: 'skip', count: 1 });
-                remainingSkips--;
+                const at = place(size);
+                shapes += `<circle cx="${at + size / 2}" cy="${y + size / 2}" r="${size / 2}" fill="${count === 1 ? '#8B5A6B' : '#E8DDD4'}"/>`;
             }
-        } else if (remainingPickups > 0) {
-            pattern.push({ type: 'pickup', count: remainingPickups });
-            remainingPickups = 0;
-        } else {
-            pattern.push({ type: 'skip', count: remainingSkips });
-            remainingSkips = 0;
-        }
-    }
-    
-    const mergedPattern = [];
-    for (const item of pattern) {
-        const last = mergedPattern[mergedPattern.length - 1];
-        if (last && last.type === item.type) {
-            last.count += item.count;
-        } else {
-            mergedPattern.push({ ...item });
         }
-    }
-    
-    return {
-        totalStitches,
-        totalRows,
-        cycleLength,
-        pickupsPerCycle: pickupPerCycle,
-        skipsPerCycle: skipPerCycle,
-        pattern: mergedPattern,
-        cycles: g
-    };
-}
-
-function generateEvenDistribution(totalStitches, totalRows) {
-    const result = [];
-    let stitchesPlaced = 0;
-    
-    for (let row = 0; row < totalRows; row++) {
-        const expectedStitches = Math.round((row + 1) * totalStitches / totalRows);
-        const stitchesThisRow = expectedStitches - stitchesPlaced;
-        result.push(stitchesThisRow);
-        stitchesPlaced = expectedStitches;
-    }
+    });
     
-    return result;
+    const height = y + size;
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">${shapes}</svg>`;
 }
 
-function describeDistribution(totalStitches, totalRows) {
-    const distribution = generateEvenDistribution(totalStitches, totalRows);
+/**
+ * Wraps rendered SVGs into one standalone file for download: a title, the
+ * panels side by side with a caption under each (or stacked on top of each
+ * other with `overlay`), then a legend of `{ color, label, shape }` entries
+ * and any `notes` (wrapped at 80 characters). The file is sized in cm so
+ * swatches keep their real size; the returned width and height are in
+ * drawing px.
+ */
+function composeExportSVG({ title, panels, legend = [], notes = [], overlay = false }) {
+    const margin = 20;
+    const gap = 24;
+    const font = 'font-family="Helvetica, Arial, sans-serif"';
+    const textWidth = (text, fontSize) => text.length * fontSize * 0.55;
     
-    const runs = [];
-    let currentCount = distribution[0];
-    let runLength = 1;
+    let content = `<text x="${margin}" y="${margin + 14}" font-size="16" font-weight="600" fill="#4A4A4A" ${font}>${escapeHTML(title)}</text>`;
+    let width = textWidth(title, 16);
+    const top = margin + 32;
+    let x = margin;
+    let bottom = top;
     
-    for (let i = 1; i < distribution.length; i++) {
-        if (distribution[i] === currentCount) {
-            runLength++;
-        } else {
-            runs.push({ stitchesPerRow: currentCount, rows: runLength });
-            currentCount = distribution[i];
-            runLength = 1;
+    for (const panel of panels) {
+        const { width: panelWidth, height: panelHeight } = svgSize(panel.svg);
+        const panelX = overlay ? margin : x;
+        content += panel.svg.replace(/^\s*<svg/, `<svg x="${panelX}" y="${top}"`);
+        let panelBottom = top + panelHeight;
+        let panelRight = panelX + panelWidth;
+        if (panel.caption) {
+            panelBottom += 18;
+            content += `<text x="${panelX}" y="${panelBottom - 4}" font-size="12" fill="#4A4A4A" ${font}>${escapeHTML(panel.caption)}</text>`;
+            panelRight = Math.max(panelRight, panelX + textWidth(panel.caption, 12));
         }
+        bottom = Math.max(bottom, panelBottom);
+        width = Math.max(width, panelRight - margin);
+        x = panelRight + gap;
     }
-    runs.push({ stitchesPerRow: currentCount, rows: runLength });
     
-    const runCounts = {};
-    for (const run of runs) {
-        const key = `${run.stitchesPerRow}-${run.rows}`;
-        runCounts[key] = (runCounts[key] || 0) + 1;
+    let y = bottom + 12;
+    for (const item of legend) {
+        const swatch = item.shape === 'dot'
+            ? `<circle cx="${margin + 6}" cy="${y + 6}" r="6" fill="${item.color}"/>`
+            : `<rect x="${margin}" y="${y}" width="12" height="12" rx="2" fill="${item.color}"/>`;
+        content += `${swatch}<text x="${margin + 18}" y="${y + 10}" font-size="12" fill="#4A4A4A" ${font}>${escapeHTML(item.label)}</text>`;
+        width = Math.max(width, 18 + textWidth(item.label, 12));
+        y += 18;
     }
-    
-    return {
-        distribution,
-        runs,
-        runCounts,
-        totalStitches,
-        totalRows
-    };
-}
-
-function findClosestSize(targetMeasurement, sizes) {
-    if (!targetMeasurement || !sizes || sizes.length === 0) return null;
-    
-    let closest = null;
-    let smallestDiff = Infinity;
-    
-    for (const size of sizes) {
-        if (!size.measurement) continue;
-        const diff = Math.abs(size.measurement - targetMeasurement);
-        if (diff < smallestDiff) {
-            smallestDiff = diff;
-            closest = { ...size, difference: diff };
+    const wrap = text => text.split(' ').reduce((lines, word) => {
+        const last = lines[lines.length - 1];
+        if (last && (last + ' ' + word).length <= 80) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
         }
+        return lines;
+    }, []);
+    for (const note of notes.flatMap(wrap)) {
+        content += `<text x="${margin}" y="${y + 10}" font-size="11" fill="#7A7A7A" ${font}>${escapeHTML(note)}</text>`;
+        width = Math.max(width, textWidth(note, 11));
+        y += 16;
     }
     
-    return closest;
+    const totalWidth = Math.ceil(width + margin * 2);
+    const totalHeight = Math.ceil(y + margin - 6);
+    return {
+        width: totalWidth,
+        height: totalHeight,
+        svg: `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${roundTo(totalWidth / EXPORT_PIXELS_PER_CM, 2)}cm" height="${roundTo(totalHeight / EXPORT_PIXELS_PER_CM, 2)}cm" viewBox="0 0 ${totalWidth} ${totalHeight}" xmlns="http://www.w3.org/2000/svg">
+<rect width="${totalWidth}" height="${totalHeight}" fill="white"/>
+${content}
+</svg>`
+    };
 }
 
 /**
- * Calculate border stitches when picking up along an edge with different gauge.
- * Along stitches: main stitches → border stitches (same width)
- * Along rows: main rows → border stitches (same height)
+ * Marks a PNG with its print resolution by inserting a pHYs chunk after the
+ * header, so layout programs place it at the intended physical size.
  */
-function calculateGaugeCombination(mainGaugeH, mainGaugeV, borderGaugeH, borderGaugeV, mainCount, pickupAlong) {
-    if (!mainCount) return null;
-    
-    if (pickupAlong === 'along-stitches') {
-        if (!mainGaugeH || !borderGaugeH) return null;
-        const width = (mainCount / mainGaugeH) * 10;
-        const borderStitches = Math.round((width * borderGaugeH) / 10);
-        const ratio = borderStitches / mainCount;
-        const simplified = simplifyRatio(borderStitches, mainCount);
-        
-        return {
-            type: 'along-stitches',
-            mainCount,
-            borderStitches,
-            measurement: Math.round(width * 10) / 10,
-            ratio: Math.round(ratio * 100) / 100,
-            simplified,
-            mainUnit: 'stitches',
-            increase: borderStitches > mainCount
-        };
-    } else if (pickupAlong === 'along-rows') {
-        if (!mainGaugeV || !borderGaugeH) return null;
-        const height = (mainCount / mainGaugeV) * 10;
-        const borderStitches = Math.round((height * borderGaugeH) / 10);
-        const ratio = borderStitches / mainCount;
-        const simplified = simplifyRatio(borderStitches, mainCount);
-        
-        return {
-            type: 'along-rows',
-            mainCount,
-            borderStitches,
-            measurement: Math.round(height * 10) / 10,
-            ratio: Math.round(ratio * 100) / 100,
-            simplified,
-            mainUnit: 'rows',
-            increase: borderStitches > mainCount
-        };
-    }
-    
-    return null;
-}
-
-function analyzeAllSizes(personalGauge, patternGauge, desiredMeasurement, sizes) {
-    const targetPatternMeasurement = calculateTargetPatternMeasurement(
-        personalGauge, patternGauge, desiredMeasurement
-    );
-    
-    if (!targetPatternMeasurement) return { error: 'Missing required values' };
-    
-    const validSizes = sizes.filter(s => s.name && s.measurement);
-    if (validSizes.length === 0) return { error: 'No valid sizes entered' };
-    
-    const analyzedSizes = validSizes.map(size => {
-        const actualMeasurement = calculateActualMeasurement(personalGauge, patternGauge, size.measurement);
-        const differenceFromDesired = actualMeasurement - desiredMeasurement;
-        
-        return {
-            name: size.name,
-            patternMeasurement: size.measurement,
-            actualMeasurement: Math.round(actualMeasurement * 10) / 10,
-            differenceFromDesired: Math.round(differenceFromDesired * 10) / 10
-        };
-    });
-    
-    let bestMatch = null;
-    let smallestAbsDiff = Infinity;
+function setPNGResolution(bytes, dpi) {
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1; // unit: metre
     
-    for (const size of analyzedSizes) {
-        const absDiff = Math.abs(size.differenceFromDesired);
-        if (absDiff < smallestAbsDiff) {
-            smallestAbsDiff = absDiff;
-            bestMatch = size;
-        }
+    let crc = -1;
+    for (let i = 4; i < 17; i++) {
+        crc ^= chunk[i];
+        for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
     }
+    view.setUint32(17, (crc ^ -1) >>> 0);
     
-    return {
-        targetPatternMeasurement: Math.round(targetPatternMeasurement * 10) / 10,
-        bestMatch,
-        allSizes: analyzedSizes,
-        gaugeRatio: Math.round((personalGauge / patternGauge) * 100) / 100
-    };
+    // PNG signature (8 bytes) + IHDR chunk (25 bytes)
+    const headerEnd = 33;
+    const result = new Uint8Array(bytes.length + chunk.length);
+    result.set(bytes.subarray(0, headerEnd));
+    result.set(chunk, headerEnd);
+    result.set(bytes.subarray(headerEnd), headerEnd + chunk.length);
+    return result;
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -384,10 +447,24 @@ document.addEventListener('DOMContentLoaded', () => {
     const personalGaugeVInput = document.getElementById('personal-gauge-v');
     const patternGaugeHInput = document.getElementById('pattern-gauge-h');
     const patternGaugeVInput = document.getElementById('pattern-gauge-v');
-    const desiredMeasurementInput = document.getElementById('desired-measurement');
+    const measurementPointList = document.getElementById('measurement-point-list');
+    const addMeasurementPointBtn = document.getElementById('add-measurement-point');
+    const sizeHeader = document.getElementById('size-header');
     const sizeListContainer = document.getElementById('size-list');
+    const interpolateSizeInput = document.getElementById('interpolate-size');
+    const stitchMultipleInput = document.getElementById('stitch-multiple');
+    const patternYarnLengthInput = document.getElementById('pattern-yarn-length');
+    const patternYarnWeightInput = document.getElementById('pattern-yarn-weight');
+    const yarnLengthInput = document.getElementById('yarn-length');
+    const yarnWeightInput = document.getElementById('yarn-weight');
+    const yarnMarginInput = document.getElementById('yarn-margin');
     const addSizeBtn = document.getElementById('add-size');
-    const calculateBtn = document.getElementById('calculate');
+    const toggleSizeImportBtn = document.getElementById('toggle-size-import');
+    const sizeImportPanel = document.getElementById('size-import');
+    const sizeImportText = document.getElementById('size-import-text');
+    const importSizesBtn = document.getElementById('import-sizes');
+    const sizeImportFileInput = document.getElementById('size-import-file');
+    const sizeImportStatus = document.getElementById('size-import-status');
     const resultSection = document.getElementById('result');
     const resultContent = document.getElementById('result-content');
     const sizePersonalSwatch = document.getElementById('size-personal-swatch');
@@ -400,18 +477,26 @@ document.addEventListener('DOMContentLoaded', () => {
     const pickupStitchesInput = document.getElementById('pickup-stitches');
     const pickupRowsInput = document.getElementById('pickup-rows');
     const totalRowsInput = document.getElementById('total-rows');
-    const calculatePickupBtn = document.getElementById('calculate-pickup');
     const pickupResultSection = document.getElementById('pickup-result');
     const pickupResultContent = document.getElementById('pickup-result-content');
     const pickupPersonalSwatch = document.getElementById('pickup-personal-swatch');
     const pickupPatternSwatch = document.getElementById('pickup-pattern-swatch');
+    const pickupModeButtons = document.querySelectorAll('#pickup-mode-toggle button');
+    const pickupStraightFields = document.getElementById('pickup-straight-fields');
+    const pickupShapedFields = document.getElementById('pickup-shaped-fields');
+    const edgeSegmentList = document.getElementById('edge-segment-list');
+    const addEdgeSegmentBtn = document.getElementById('add-edge-segment');
+    const pickupMultipleInput = document.getElementById('pickup-multiple');
+    const pickupOffsetInput = document.getElementById('pickup-offset');
     
     const mainGaugeHInput = document.getElementById('main-gauge-h');
     const mainGaugeVInput = document.getElementById('main-gauge-v');
     const borderGaugeHInput = document.getElementById('border-gauge-h');
     const borderGaugeVInput = document.getElementById('border-gauge-v');
     const mainStitchesInput = document.getElementById('main-stitches');
-    const calculateCombineBtn = document.getElementById('calculate-combine');
+    const joinEveryField = document.getElementById('join-every-field');
+    const extraStitchesField = document.getElementById('extra-stitches-field');
+    const joinEveryInput = document.getElementById('join-every');
     const combineResultSection = document.getElementById('combine-result');
     const combineResultContent = document.getElementById('combine-result-content');
     const mainSwatchPreview = document.getElementById('main-swatch-preview');
@@ -420,29 +505,310 @@ document.addEventListener('DOMContentLoaded', () => {
     const swatchViewToggle = document.getElementById('swatch-view-toggle');
     const viewToggleButtons = swatchViewToggle.querySelectorAll('button');
     
+    const convertPersonalGaugeHInput = document.getElementById('convert-personal-gauge-h');
+    const convertPersonalGaugeVInput = document.getElementById('convert-personal-gauge-v');
+    const convertPatternGaugeHInput = document.getElementById('convert-pattern-gauge-h');
+    const convertPatternGaugeVInput = document.getElementById('convert-pattern-gauge-v');
+    const patternTextInput = document.getElementById('pattern-text');
+    const convertMultipleInput = document.getElementById('convert-multiple');
+    const convertOffsetInput = document.getElementById('convert-offset');
+    const convertResultSection = document.getElementById('convert-result');
+    const convertResultContent = document.getElementById('convert-result-content');
+    const convertPersonalSwatch = document.getElementById('convert-personal-swatch');
+    const convertPatternSwatch = document.getElementById('convert-pattern-swatch');
+    
+    const shapingStartInput = document.getElementById('shaping-start-stitches');
+    const shapingEndInput = document.getElementById('shaping-end-stitches');
+    const shapingRowsInput = document.getElementById('shaping-rows');
+    const shapingResultSection = document.getElementById('shaping-result');
+    const shapingResultContent = document.getElementById('shaping-result-content');
+    const rowShapingStitchesInput = document.getElementById('row-shaping-stitches');
+    const rowShapingChangeInput = document.getElementById('row-shaping-change');
+    const rowShapingResultSection = document.getElementById('row-shaping-result');
+    const rowShapingResultContent = document.getElementById('row-shaping-result-content');
+    
+    const chartGaugeHInput = document.getElementById('chart-gauge-h');
+    const chartGaugeVInput = document.getElementById('chart-gauge-v');
+    const chartSwatch = document.getElementById('chart-swatch');
+    const chartTextInput = document.getElementById('chart-text');
+    const chartFileInput = document.getElementById('chart-file');
+    const chartImageInput = document.getElementById('chart-image');
+    const chartStatus = document.getElementById('chart-status');
+    const chartNewStitchesInput = document.getElementById('chart-new-stitches');
+    const chartNewRowsInput = document.getElementById('chart-new-rows');
+    const chartNewBtn = document.getElementById('chart-new');
+    const chartTargetWidthInput = document.getElementById('chart-target-width');
+    const chartTargetHeightInput = document.getElementById('chart-target-height');
+    const chartColoursSelect = document.getElementById('chart-colours');
+    const chartResultSection = document.getElementById('chart-result');
+    const chartResultContent = document.getElementById('chart-result-content');
+    
     const tabSize = document.getElementById('tab-size');
     const tabPickup = document.getElementById('tab-pickup');
     const tabCombine = document.getElementById('tab-combine');
+    const tabConvert = document.getElementById('tab-convert');
+    const tabShaping = document.getElementById('tab-shaping');
+    const tabChart = document.getElementById('tab-chart');
+    const tabSwatches = document.getElementById('tab-swatches');
+    
+    const unitSystemSelect = document.getElementById('unit-system');
+    const gaugeBasisSelect = document.getElementById('gauge-basis');
+    
+    const projectSelect = document.getElementById('project-select');
+    const projectNewBtn = document.getElementById('project-new');
+    const projectRenameBtn = document.getElementById('project-rename');
+    const projectDuplicateBtn = document.getElementById('project-duplicate');
+    const projectDeleteBtn = document.getElementById('project-delete');
+    
+    const printSummaryBtn = document.getElementById('print-summary-btn');
+    const printSummary = document.getElementById('print-summary');
+    
+    const libraryNameInput = document.getElementById('library-name');
+    const libraryYarnInput = document.getElementById('library-yarn');
+    const libraryWeightSelect = document.getElementById('library-weight');
+    const libraryNeedleInput = document.getElementById('library-needle');
+    const libraryStitchPatternInput = document.getElementById('library-stitch-pattern');
+    const libraryBeforeHInput = document.getElementById('library-before-h');
+    const libraryBeforeVInput = document.getElementById('library-before-v');
+    const libraryAfterHInput = document.getElementById('library-after-h');
+    const libraryAfterVInput = document.getElementById('library-after-v');
+    const libraryNotesInput = document.getElementById('library-notes');
+    const libraryStatus = document.getElementById('library-status');
+    const saveLibrarySwatchBtn = document.getElementById('save-library-swatch');
+    const cancelLibraryEditBtn = document.getElementById('cancel-library-edit');
+    const swatchLibraryList = document.getElementById('swatch-library-list');
+    const exportLibraryBtn = document.getElementById('export-library');
+    const importLibraryInput = document.getElementById('import-library');
+    
+    let units = { length: 'cm', gauge: '10cm' };
+    const swatchEntryUpdaters = [];
     
-    addSizeRow('S', '');
-    addSizeRow('M', '');
-    addSizeRow('L', '');
+    let measurementPointCounter = 0;
     
-    addSizeBtn.addEventListener('click', () => addSizeRow('', ''));
-    calculateBtn.addEventListener('click', calculate);
-    calculatePickupBtn.addEventListener('click', calculatePickup);
-    calculateCombineBtn.addEventListener('click', calculateCombine);
+    addMeasurementPoint({ name: 'Chest' });
+    addSizeRow('S');
+    addSizeRow('M');
+    addSizeRow('L');
+    
+    const SWATCH_LIBRARY_KEY = 'knitit-swatch-library';
+    let swatchLibrary = loadSwatchLibrary();
+    let editingSwatchId = null;
+    const libraryPickers = [];
+    
+    libraryWeightSelect.innerHTML = Object.entries(YARN_WEIGHTS)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+    
+    document.querySelectorAll('.gauge-column').forEach(column => {
+        addSwatchEntry(column);
+        addLibraryPicker(column);
+        addStitchPatternPicker(column);
+    });
+    renderSwatchLibrary();
+    
+    const EXPORT_DPIS = [72, 150, 300, 600];
+    const SWATCH_COLORS = ['#8B5A6B', '#4A7C59'];
+    let lastPickupDiagram = null;
+    const PICKUP_PROGRESS_KEY = 'knitit-pickup-progress';
+    
+    document.querySelectorAll('.gauge-grid-with-swatch').forEach(grid => {
+        const tab = grid.closest('.tab-content');
+        const anchor = tab === tabCombine ? swatchOverlayContainer : grid;
+        anchor.after(createExportBar(() => swatchExport(grid), `knitit-${tab.id.replace('tab-', '')}-swatches`));
+    });
+    
+    let edgeSegmentCounter = 0;
+    let pickupMode = 'straight';
+    addEdgeSegment();
+    
+    addSizeBtn.addEventListener('click', () => addSizeRow());
+    toggleSizeImportBtn.addEventListener('click', () => sizeImportPanel.classList.toggle('hidden'));
+    importSizesBtn.addEventListener('click', () => importSizeTable(sizeImportText.value));
+    sizeImportFileInput.addEventListener('change', () => {
+        const file = sizeImportFileInput.files[0];
+        sizeImportFileInput.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            sizeImportText.value = text;
+            importSizeTable(text);
+            scheduleProjectSave();
+        }, () => showSizeImportStatus('Could not read that file', true));
+    });
+    
+    let chartImage = null;
+    let lastChart = null;
+    chartTextInput.addEventListener('input', clearChartImage);
+    chartFileInput.addEventListener('change', () => {
+        const file = chartFileInput.files[0];
+        chartFileInput.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            chartTextInput.value = text.trim();
+            clearChartImage();
+            calculateChart();
+            scheduleProjectSave();
+        }, () => showChartStatus('Could not read that file', true));
+    });
+    chartImageInput.addEventListener('change', () => {
+        const file = chartImageInput.files[0];
+        chartImageInput.value = '';
+        if (!file) return;
+        loadChartImage(file).then(image => {
+            chartImage = image;
+            showChartStatus(`Tracing ${file.name}. Choose "Use this chart" under the result to edit the traced chart.`);
+            calculateChart();
+        }, () => showChartStatus(`Could not read ${file.name} as an image`, true));
+    });
+    chartNewBtn.addEventListener('click', () => {
+        const size = input => Math.max(1, Math.min(parseInt(input.value) || parseInt(input.placeholder), CHART_MAX_SIZE));
+        chartTextInput.value = Array(size(chartNewRowsInput)).fill('.'.repeat(size(chartNewStitchesInput))).join('\n');
+        clearChartImage();
+    });
+    chartResultContent.addEventListener('click', e => {
+        const cell = e.target.closest('.chart-drawing [data-cell]');
+        if (cell && lastChart) drawChartStitch(...cell.dataset.cell.split(',').map(Number));
+    });
+    addEdgeSegmentBtn.addEventListener('click', () => addEdgeSegment());
+    addMeasurementPointBtn.addEventListener('click', () => addMeasurementPoint());
+    saveLibrarySwatchBtn.addEventListener('click', saveLibrarySwatch);
+    cancelLibraryEditBtn.addEventListener('click', clearLibraryForm);
+    exportLibraryBtn.addEventListener('click', exportSwatchLibrary);
+    importLibraryInput.addEventListener('change', () => {
+        if (importLibraryInput.files[0]) importSwatchLibrary(importLibraryInput.files[0]);
+        importLibraryInput.value = '';
+    });
+    
+    printSummaryBtn.addEventListener('click', () => {
+        buildPrintSummary();
+        window.print();
+    });
+    window.addEventListener('beforeprint', buildPrintSummary);
+    
+    swatchLibraryList.addEventListener('click', e => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const swatch = swatchLibrary.find(s => s.id === button.closest('.library-item').dataset.swatchId);
+        if (!swatch) return;
+        
+        if (button.dataset.action === 'edit') {
+            fillLibraryForm(swatch);
+        } else if (confirm(`Delete "${swatch.name}" from the swatch library?`)) {
+            swatchLibrary = swatchLibrary.filter(s => s !== swatch);
+            if (editingSwatchId === swatch.id) clearLibraryForm();
+            writeSwatchLibrary();
+            renderSwatchLibrary();
+        }
+    });
+    
+    let convertOverrides = {};
+    patternTextInput.addEventListener('input', () => { convertOverrides = {}; });
     
     let currentViewMode = 'side-by-side';
     
+    function readGauge(input) {
+        return toGaugePer10cm(parseFloat(input.value), units.gauge);
+    }
+    
+    function readLength(input) {
+        return toCentimeters(parseFloat(input.value), units.length);
+    }
+    
+    function gaugeLabel() {
+        return GAUGE_BASES[units.gauge].label;
+    }
+    
+    function lengthLabel() {
+        return LENGTH_UNITS[units.length].label;
+    }
+    
+    function yarnUnit() {
+        return LENGTH_UNITS[units.length].yarn;
+    }
+    
+    /**
+     * The exact value (in cm, per 10cm or metres) behind each field the unit
+     * toggle has rounded, with the text it showed, so switching back and
+     * forth converts from the original rather than from the rounded value.
+     */
+    const convertedValues = new WeakMap();
+    
+    function convertInput(input, toBase, fromBase, round = roundTo) {
+        const value = parseFloat(input.value);
+        if (!value) return;
+        const converted = convertedValues.get(input);
+        const base = converted && converted.shown === input.value ? converted.base : toBase(value);
+        input.value = round(fromBase(base));
+        convertedValues.set(input, { shown: input.value, base });
+    }
+    
+    /**
+     * Switch unit system, converting any values already entered so the
+     * underlying measurements stay the same.
+     */
+    function applyUnits(newUnits) {
+        document.querySelectorAll('input[data-unit="gauge"]').forEach(input => {
+            convertInput(input, value => toGaugePer10cm(value, units.gauge), base => fromGaugePer10cm(base, newUnits.gauge));
+        });
+        document.querySelectorAll('input[data-unit="length"]').forEach(input => {
+            convertInput(input, value => toCentimeters(value, units.length), base => fromCentimeters(base, newUnits.length));
+        });
+        document.querySelectorAll('input[data-unit="yarn"]').forEach(input => {
+            convertInput(input, value => toMeters(value, yarnUnit()), base => fromMeters(base, LENGTH_UNITS[newUnits.length].yarn), Math.round);
+        });
+        
+        units = newUnits;
+        updateUnitLabels();
+        swatchEntryUpdaters.forEach(update => update());
+        updateSizeSwatches();
+        updatePickupSwatches();
+        updateCombineSwatchPreviews();
+        updateConvertSwatches();
+        updateChartSwatch();
+        renderSwatchLibrary();
+    }
+    
+    function updateUnitLabels() {
+        document.querySelectorAll('.unit-gauge-label').forEach(el => {
+            el.textContent = gaugeLabel();
+        });
+        document.querySelectorAll('.unit-length-label').forEach(el => {
+            el.textContent = lengthLabel();
+        });
+        document.querySelectorAll('.unit-yarn-label').forEach(el => {
+            el.textContent = YARN_UNITS[yarnUnit()].label;
+        });
+        updateSizeColumns();
+    }
+    
+    unitSystemSelect.addEventListener('change', () => {
+        const imperial = unitSystemSelect.value === 'imperial';
+        gaugeBasisSelect.value = imperial ? '4in' : '10cm';
+        applyUnits({ length: imperial ? 'in' : 'cm', gauge: gaugeBasisSelect.value });
+        recalculateAll();
+    });
+    
+    gaugeBasisSelect.addEventListener('change', () => {
+        applyUnits({ length: units.length, gauge: gaugeBasisSelect.value });
+        recalculateAll();
+    });
+    
+    /**
+     * The stitch pattern chosen for the gauge column holding `input`, or
+     * stockinette when the select holds no known pattern.
+     */
+    function stitchPatternFor(input) {
+        const select = input.closest('.gauge-column').querySelector('.stitch-pattern-select');
+        return select && STITCH_PATTERNS[select.value] ? select.value : 'stockinette';
+    }
+    
     function updateSingleSwatchPreview(hInput, vInput, previewEl, color) {
-        const h = parseFloat(hInput.value);
-        const v = parseFloat(vInput.value);
+        const h = readGauge(hInput);
+        const v = readGauge(vInput);
         
         if (h > 0 && v > 0) {
             previewEl.innerHTML = `
-                <div class="swatch-container">${renderSwatchSVG(h, v, 5, color, 1)}</div>
-                <div class="swatch-info">${h} st × ${v} rows</div>
+                <div class="swatch-container">${renderSwatchSVG(h, v, 5, color, 1, stitchPatternFor(hInput))}</div>
+                <div class="swatch-info">${formatGauge(h, units.gauge)} st × ${formatGauge(v, units.gauge)} rows / ${gaugeLabel()}</div>
             `;
         } else {
             previewEl.innerHTML = '<div class="swatch-placeholder">Enter gauge to preview</div>';
@@ -459,11 +825,20 @@ document.addEventListener('DOMContentLoaded', () => {
         updateSingleSwatchPreview(pickupPatternGaugeHInput, pickupPatternGaugeVInput, pickupPatternSwatch, '#4A7C59');
     }
     
+    function updateChartSwatch() {
+        updateSingleSwatchPreview(chartGaugeHInput, chartGaugeVInput, chartSwatch, '#8B5A6B');
+    }
+    
+    function updateConvertSwatches() {
+        updateSingleSwatchPreview(convertPersonalGaugeHInput, convertPersonalGaugeVInput, convertPersonalSwatch, '#8B5A6B');
+        updateSingleSwatchPreview(convertPatternGaugeHInput, convertPatternGaugeVInput, convertPatternSwatch, '#4A7C59');
+    }
+    
     function updateCombineSwatchPreviews() {
-        const mainH = parseFloat(mainGaugeHInput.value);
-        const mainV = parseFloat(mainGaugeVInput.value);
-        const borderH = parseFloat(borderGaugeHInput.value);
-        const borderV = parseFloat(borderGaugeVInput.value);
+        const mainH = readGauge(mainGaugeHInput);
+        const mainV = readGauge(mainGaugeVInput);
+        const borderH = readGauge(borderGaugeHInput);
+        const borderV = readGauge(borderGaugeVInput);
         
         const hasMainGauge = mainH > 0 && mainV > 0;
         const hasBorderGauge = borderH > 0 && borderV > 0;
@@ -474,8 +849,8 @@ document.addEventListener('DOMContentLoaded', () => {
             
             if (hasMainGauge) {
                 mainSwatchPreview.innerHTML = `
-                    <div class="swatch-container">${renderSwatchSVG(mainH, mainV, 5, '#8B5A6B', 1)}</div>
-                    <div class="swatch-info">${mainH} st × ${mainV} rows</div>
+                    <div class="swatch-container">${renderSwatchSVG(mainH, mainV, 5, '#8B5A6B', 1, stitchPatternFor(mainGaugeHInput))}</div>
+                    <div class="swatch-info">${formatGauge(mainH, units.gauge)} st × ${formatGauge(mainV, units.gauge)} rows / ${gaugeLabel()}</div>
                 `;
             } else {
                 mainSwatchPreview.innerHTML = '<div class="swatch-placeholder">Enter gauge to preview</div>';
@@ -483,8 +858,8 @@ document.addEventListener('DOMContentLoaded', () => {
             
             if (hasBorderGauge) {
                 borderSwatchPreview.innerHTML = `
-                    <div class="swatch-container">${renderSwatchSVG(borderH, borderV, 5, '#4A7C59', 1)}</div>
-                    <div class="swatch-info">${borderH} st × ${borderV} rows</div>
+                    <div class="swatch-container">${renderSwatchSVG(borderH, borderV, 5, '#4A7C59', 1, stitchPatternFor(borderGaugeHInput))}</div>
+                    <div class="swatch-info">${formatGauge(borderH, units.gauge)} st × ${formatGauge(borderV, units.gauge)} rows / ${gaugeLabel()}</div>
                 `;
             } else {
                 borderSwatchPreview.innerHTML = '<div class="swatch-placeholder">Enter gauge to preview</div>';
@@ -495,7 +870,10 @@ document.addEventListener('DOMContentLoaded', () => {
             
             if (hasMainGauge && hasBorderGauge) {
                 swatchOverlayContainer.classList.add('overlay-visible');
-                swatchOverlayContainer.innerHTML = renderSwatchComparison(mainH, mainV, borderH, borderV, 'overlay');
+                swatchOverlayContainer.innerHTML = renderSwatchComparison(
+                    mainH, mainV, borderH, borderV, 'overlay', units.gauge,
+                    [stitchPatternFor(mainGaugeHInput), stitchPatternFor(borderGaugeHInput)]
+                );
             } else if (hasMainGauge || hasBorderGauge) {
                 swatchOverlayContainer.classList.add('overlay-visible');
                 swatchOverlayContainer.innerHTML = '<div class="swatch-placeholder">Enter both gauges for overlay</div>';
@@ -506,6 +884,30 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
+    pickupModeButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            pickupModeButtons.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            pickupMode = btn.dataset.mode;
+            pickupStraightFields.classList.toggle('hidden', pickupMode !== 'straight');
+            pickupShapedFields.classList.toggle('hidden', pickupMode !== 'shaped');
+        });
+    });
+    
+    [pickupStitchesInput, pickupRowsInput].forEach(input => {
+        input.addEventListener('input', updateEdgeSegments);
+    });
+    
+    document.querySelectorAll('input[name="join-mode"]').forEach(radio => {
+        radio.addEventListener('change', updateJoinModeFields);
+    });
+    
+    function updateJoinModeFields() {
+        const joinMode = document.querySelector('input[name="join-mode"]:checked').value;
+        joinEveryField.classList.toggle('hidden', joinMode !== 'sideways');
+        extraStitchesField.classList.toggle('hidden', joinMode !== 'picked-up');
+    }
+    
     viewToggleButtons.forEach(btn => {
         btn.addEventListener('click', () => {
             viewToggleButtons.forEach(b => b.classList.remove('active'));
@@ -527,351 +929,2726 @@ document.addEventListener('DOMContentLoaded', () => {
         input.addEventListener('input', updateCombineSwatchPreviews);
     });
     
+    [convertPersonalGaugeHInput, convertPersonalGaugeVInput, convertPatternGaugeHInput, convertPatternGaugeVInput].forEach(input => {
+        input.addEventListener('input', updateConvertSwatches);
+    });
+    
+    [chartGaugeHInput, chartGaugeVInput].forEach(input => {
+        input.addEventListener('input', updateChartSwatch);
+    });
+    
     updateSizeSwatches();
     updatePickupSwatches();
     updateCombineSwatchPreviews();
+    updateConvertSwatches();
+    updateChartSwatch();
     
-    document.querySelectorAll('input').forEach(input => {
-        input.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                if (tabPickup.contains(input)) {
-                    calculatePickup();
-                } else if (tabCombine.contains(input)) {
-                    calculateCombine();
-                } else {
-                    calculate();
-                }
-            }
+    /**
+     * Each tab recalculates shortly after any of its fields change. Fields
+     * only show their validation messages once they have been edited (or
+     * Enter is pressed), so a half-filled form isn't covered in errors.
+     */
+    const RECALCULATE_DELAY = 250;
+    let touchedFields = new WeakSet();
+    const fieldErrors = new Map();
+    
+    const liveTabs = [
+        { tab: tabSize, run: calculate },
+        { tab: tabPickup, run: calculatePickup },
+        { tab: tabCombine, run: calculateCombine },
+        { tab: tabConvert, run: convertPattern },
+        { tab: tabShaping, run: () => { calculateShapingResult(); calculateRowShaping(); } },
+        { tab: tabChart, run: calculateChart }
+    ];
+    
+    liveTabs.forEach(live => {
+        let timer = null;
+        live.schedule = () => {
+            clearTimeout(timer);
+            timer = setTimeout(live.run, RECALCULATE_DELAY);
+        };
+        live.now = () => {
+            clearTimeout(timer);
+            live.run();
+        };
+        
+        const onEdit = (e) => {
+            if (restoringProject || e.target.closest('.result')) return;
+            if (e.target.matches('input, select, textarea')) touchedFields.add(e.target);
+            live.schedule();
+        };
+        live.tab.addEventListener('input', onEdit);
+        live.tab.addEventListener('change', onEdit);
+        live.tab.addEventListener('click', (e) => {
+            if (restoringProject || !e.target.closest('button') || e.target.closest('.result')) return;
+            live.schedule();
+        });
+        live.tab.addEventListener('keypress', (e) => {
+            if (e.key !== 'Enter' || e.target.tagName !== 'INPUT') return;
+            live.tab.querySelectorAll('input, select, textarea').forEach(input => touchedFields.add(input));
+            live.now();
         });
     });
     
-    function addSizeRow(name = '', measurement = '') {
-        const row = document.createElement('div');
-        row.className = 'size-row';
-        row.innerHTML = `
-            <input type="text" class="size-name" placeholder="Size name" value="${name}">
-            <input type="number" class="size-measurement" placeholder="Measurement (cm)" step="0.5" min="1" value="${measurement}">
-            <button type="button" class="btn-remove" title="Remove size">&times;</button>
-        `;
-        
-        row.querySelector('.btn-remove').addEventListener('click', () => row.remove());
-        sizeListContainer.appendChild(row);
+    function recalculateAll() {
+        liveTabs.forEach(live => live.now());
     }
     
-    function getSizes() {
-        const sizes = [];
-        sizeListContainer.querySelectorAll('.size-row').forEach(row => {
-            const name = row.querySelector('.size-name').value.trim();
-            const measurement = parseFloat(row.querySelector('.size-measurement').value);
-            if (name || measurement) {
-                sizes.push({ name, measurement: measurement || 0 });
-            }
-        });
-        return sizes;
+    function isTouched(anchor) {
+        return touchedFields.has(anchor) ||
+            [...anchor.querySelectorAll('input, select, textarea')].some(input => touchedFields.has(input));
+    }
+    
+    /**
+     * Adds a "Required" (or "Must be more than 0") problem for a field whose
+     * value isn't a positive number. Forced problems show even on untouched
+     * fields, for requirements that come from another field.
+     */
+    function requirePositive(problems, input, value, message = 'Required', force = false) {
+        if (value > 0) return;
+        problems.push({ input, message: input.value.trim() === '' ? message : 'Must be more than 0', force });
+    }
+    
+    /**
+     * Shows a calculator's problems under their fields, replacing the ones it
+     * showed last time. While there are problems the previous result stays
+     * on screen, dimmed, rather than flashing away on every keystroke.
+     * Returns whether there were any.
+     */
+    function showFieldProblems(section, problems) {
+        (fieldErrors.get(section) || []).forEach(({ input, element }) => {
+            input.classList.remove('invalid');
+            element.remove();
+        });
+        
+        const shown = new Map();
+        problems.forEach(({ input, message, force }) => {
+            if (!force && !isTouched(input)) return;
+            input.classList.add('invalid');
+            const container = input.closest('.field');
+            const key = container || input;
+            const existing = shown.get(key);
+            if (existing) {
+                if (!existing.element.textContent.includes(message)) existing.element.textContent += ` ${message}.`;
+                existing.inputs.push(input);
+                return;
+            }
+            
+            const element = document.createElement('p');
+            element.className = 'field-error';
+            element.textContent = `${message}.`;
+            if (container) {
+                container.appendChild(element);
+            } else {
+                input.after(element);
+            }
+            shown.set(key, { element, inputs: [input] });
+        });
+        
+        fieldErrors.set(section, [...shown.values()].flatMap(({ element, inputs }) => inputs.map(input => ({ input, element }))));
+        section.classList.toggle('stale', problems.length > 0 && !section.classList.contains('hidden'));
+        return problems.length > 0;
+    }
+    
+    const PROJECT_STORAGE_KEY = 'knitit-projects';
+    const blankProjectState = collectProjectState();
+    let projectStore = loadProjectStore();
+    let restoringProject = false;
+    let saveTimer = null;
+    
+    if (projectStore.projects.length === 0) {
+        projectStore.projects.push(createProject('My project', blankProjectState));
+    }
+    if (!projectStore.projects.some(p => p.id === projectStore.currentId)) {
+        projectStore.currentId = projectStore.projects[0].id;
+    }
+    applyProjectState(currentProject().state);
+    updateProjectSelect();
+    
+    if (applyStateHash(location.hash)) saveCurrentProject();
+    history.replaceState(null, '', encodeStateHash());
+    
+    window.addEventListener('popstate', () => {
+        if (applyStateHash(location.hash)) saveCurrentProject();
+    });
+    
+    ['input', 'change'].forEach(type => {
+        document.addEventListener(type, e => {
+            if (e.target !== projectSelect) scheduleProjectSave();
+        });
+    });
+    document.addEventListener('click', e => {
+        if (e.target.closest('button, .tab') && !e.target.closest('.project-bar')) scheduleProjectSave();
+    });
+    
+    projectSelect.addEventListener('change', () => {
+        saveCurrentProject();
+        projectStore.currentId = projectSelect.value;
+        applyProjectState(currentProject().state);
+        writeProjectStore();
+        updateStateHash();
+    });
+    
+    projectNewBtn.addEventListener('click', () => {
+        const name = prompt('Name for the new project:', `Project ${projectStore.projects.length + 1}`);
+        if (!name || !name.trim()) return;
+        saveCurrentProject();
+        const project = createProject(name.trim(), blankProjectState);
+        projectStore.projects.push(project);
+        projectStore.currentId = project.id;
+        applyProjectState(project.state);
+        writeProjectStore();
+        updateStateHash();
+        updateProjectSelect();
+    });
+    
+    projectRenameBtn.addEventListener('click', () => {
+        const project = currentProject();
+        const name = prompt('Rename project:', project.name);
+        if (!name || !name.trim()) return;
+        project.name = name.trim();
+        writeProjectStore();
+        updateProjectSelect();
+    });
+    
+    projectDuplicateBtn.addEventListener('click', () => {
+        saveCurrentProject();
+        const project = createProject(`${currentProject().name} (copy)`, currentProject().state);
+        projectStore.projects.push(project);
+        projectStore.currentId = project.id;
+        writeProjectStore();
+        updateProjectSelect();
+    });
+    
+    projectDeleteBtn.addEventListener('click', () => {
+        const project = currentProject();
+        if (!confirm(`Delete "${project.name}"? This can't be undone.`)) return;
+        
+        projectStore.projects = projectStore.projects.filter(p => p !== project);
+        if (projectStore.projects.length === 0) {
+            projectStore.projects.push(createProject('My project', blankProjectState));
+        }
+        projectStore.currentId = projectStore.projects[0].id;
+        applyProjectState(currentProject().state);
+        writeProjectStore();
+        updateStateHash();
+        updateProjectSelect();
+    });
+    
+    /**
+     * Projects are kept in localStorage as { currentId, projects: [{ id, name,
+     * updated, state }] }. Storage can be unavailable (private browsing,
+     * file:// in some browsers), in which case projects last for the session.
+     */
+    function loadProjectStore() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PROJECT_STORAGE_KEY));
+            if (stored && Array.isArray(stored.projects)) {
+                return { ...stored, projects: stored.projects.filter(project => isPlainObject(project) && isProjectState(project.state)) };
+            }
+        } catch (e) {
+            // Fall through to an empty store
+        }
+        return { currentId: null, projects: [] };
+    }
+    
+    function writeProjectStore() {
+        try {
+            localStorage.setItem(PROJECT_STORAGE_KEY, JSON.stringify(projectStore));
+        } catch (e) {
+            // Storage full or unavailable; keep working from memory
+        }
+    }
+    
+    function createProject(name, state) {
+        return {
+            id: `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            name,
+            updated: Date.now(),
+            state: JSON.parse(JSON.stringify(state))
+        };
+    }
+    
+    function currentProject() {
+        return projectStore.projects.find(p => p.id === projectStore.currentId);
+    }
+    
+    function updateProjectSelect() {
+        projectSelect.innerHTML = projectStore.projects
+            .map(p => `<option value="${p.id}">${escapeHTML(p.name)}</option>`)
+            .join('');
+        projectSelect.value = projectStore.currentId;
+    }
+    
+    function scheduleProjectSave() {
+        if (restoringProject) return;
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(() => {
+            saveCurrentProject();
+            updateStateHash();
+        }, 300);
+    }
+    
+    function saveCurrentProject() {
+        clearTimeout(saveTimer);
+        const project = currentProject();
+        if (!project) return;
+        project.state = collectProjectState();
+        project.updated = Date.now();
+        writeProjectStore();
+    }
+    
+    /**
+     * Everything needed to rebuild the calculators: fixed fields by id, radio
+     * groups by name, and the dynamic lists (measurement points, sizes, edge
+     * segments) as plain data. Values are stored as typed, in `units`. With a
+     * `scope` (a tab section) only that tab's inputs are collected.
+     */
+    function collectProjectState(scope = document) {
+        const dynamicLists = [measurementPointList, sizeListContainer, edgeSegmentList, sizeImportPanel];
+        const inScope = el => scope === document || scope.contains(el);
+        const fields = {};
+        scope.querySelectorAll('.tab-content input[id], .tab-content select[id], .tab-content textarea[id]').forEach(el => {
+            if (el.type === 'radio' || el.type === 'file' || tabSwatches.contains(el) || dynamicLists.some(list => list.contains(el))) return;
+            fields[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+        });
+        
+        const radios = {};
+        scope.querySelectorAll('.tab-content input[type="radio"]:checked').forEach(el => {
+            radios[el.name] = el.value;
+        });
+        
+        const state = {
+            units: { ...units },
+            activeTab: document.querySelector('.tab-radio:checked').id,
+            fields,
+            radios
+        };
+        
+        if (inScope(sizeListContainer)) {
+            state.measurementPoints = [...measurementPointList.querySelectorAll('.measurement-point')].map(point => ({
+                id: point.dataset.pointId,
+                name: point.querySelector('.point-name').value,
+                axis: point.querySelector('.point-axis').value,
+                priority: point.querySelector('.point-priority').value,
+                body: point.querySelector('.point-body').value,
+                ease: point.querySelector('.point-ease').value,
+                tolerance: point.querySelector('.point-tolerance').value
+            }));
+            state.sizes = [...sizeListContainer.querySelectorAll('.size-row')].map(row => {
+                const measurements = {};
+                row.querySelectorAll('.size-measurement').forEach(input => {
+                    measurements[input.dataset.pointId] = input.value;
+                });
+                return {
+                    name: row.querySelector('.size-name').value,
+                    measurements,
+                    lengthRows: row.querySelector('.size-length-rows').value,
+                    castOn: row.querySelector('.size-cast-on').value,
+                    yardage: row.querySelector('.size-yardage').value
+                };
+            });
+        }
+        
+        if (inScope(edgeSegmentList)) {
+            state.pickupMode = pickupMode;
+            state.edgeSegments = [...edgeSegmentList.querySelectorAll('.edge-segment')].map(segment => ({
+                type: segment.querySelector('.segment-type').value,
+                stitches: segment.querySelector('.segment-stitches').value,
+                rows: segment.querySelector('.segment-rows').value,
+                pickupStitches: segment.querySelector('.segment-pickup-stitches').value,
+                pickupRows: segment.querySelector('.segment-pickup-rows').value
+            }));
+        }
+        
+        if (inScope(swatchViewToggle)) {
+            state.viewMode = currentViewMode;
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Restores a state from collectProjectState. Values already entered are
+     * first converted to the state's units, so a state covering one tab
+     * leaves the other tabs' measurements intact.
+     */
+    function applyProjectState(state) {
+        restoringProject = true;
+        
+        const restoredUnits = {
+            length: LENGTH_UNITS[state.units.length] ? state.units.length : units.length,
+            gauge: GAUGE_BASES[state.units.gauge] ? state.units.gauge : units.gauge
+        };
+        unitSystemSelect.value = restoredUnits.length === 'in' ? 'imperial' : 'metric';
+        gaugeBasisSelect.value = restoredUnits.gauge;
+        applyUnits(restoredUnits);
+        
+        if (Array.isArray(state.measurementPoints)) {
+            measurementPointList.innerHTML = '';
+            sizeListContainer.innerHTML = '';
+            
+            const pointIds = {};
+            state.measurementPoints.filter(isPlainObject).forEach(point => {
+                pointIds[point.id] = addMeasurementPoint({
+                    name: restoredText(point.name),
+                    axis: point.axis === 'length' ? 'length' : 'width',
+                    priority: FIT_PRIORITIES[point.priority] ? point.priority : 'normal',
+                    body: restoredNumber(point.body),
+                    ease: restoredNumber(point.ease),
+                    tolerance: restoredNumber(point.tolerance)
+                });
+            });
+            (Array.isArray(state.sizes) ? state.sizes : []).filter(isPlainObject).forEach(size => {
+                const measurements = {};
+                Object.entries(size.measurements || {}).forEach(([id, value]) => {
+                    if (pointIds[id]) measurements[pointIds[id]] = restoredNumber(value);
+                });
+                addSizeRow(
+                    restoredText(size.name),
+                    measurements,
+                    restoredNumber(size.lengthRows),
+                    restoredNumber(size.castOn),
+                    restoredNumber(size.yardage)
+                );
+            });
+        }
+        
+        if (Array.isArray(state.edgeSegments)) {
+            edgeSegmentList.innerHTML = '';
+            state.edgeSegments.filter(isPlainObject).forEach(segment => addEdgeSegment({
+                type: EDGE_SEGMENT_TYPES[segment.type] ? segment.type : 'rows',
+                stitches: restoredNumber(segment.stitches),
+                rows: restoredNumber(segment.rows),
+                pickupStitches: restoredNumber(segment.pickupStitches),
+                pickupRows: restoredNumber(segment.pickupRows)
+            }));
+        }
+        
+        Object.entries(state.fields).forEach(([id, value]) => {
+            const el = document.getElementById(id);
+            if (!el || !el.closest('.tab-content') || el.type === 'file') return;
+            if (el.type === 'checkbox') {
+                el.checked = value === true;
+            } else if (el.type === 'number') {
+                el.value = restoredNumber(value);
+            } else if (el.tagName === 'SELECT') {
+                if ([...el.options].some(option => option.value === value)) el.value = value;
+            } else {
+                el.value = restoredText(value);
+            }
+        });
+        const radios = [...document.querySelectorAll('.tab-content input[type="radio"]')];
+        Object.entries(state.radios).forEach(([name, value]) => {
+            const radio = radios.find(r => r.name === name && r.value === value);
+            if (radio) radio.checked = true;
+        });
+        
+        const tabRadio = document.getElementById(state.activeTab);
+        if (tabRadio && tabRadio.classList.contains('tab-radio')) tabRadio.checked = true;
+        if (state.pickupMode) {
+            [...document.querySelectorAll('#pickup-mode-toggle [data-mode]')].find(b => b.dataset.mode === state.pickupMode)?.click();
+        }
+        if (state.viewMode) {
+            [...viewToggleButtons].find(b => b.dataset.view === state.viewMode)?.click();
+        }
+        
+        convertOverrides = {};
+        clearChartImage();
+        touchedFields = new WeakSet();
+        document.querySelectorAll('.result').forEach(section => section.classList.add('hidden'));
+        updateUnitLabels();
+        updateEdgeSegments();
+        updateJoinModeFields();
+        updateSizeSwatches();
+        updatePickupSwatches();
+        updateCombineSwatchPreviews();
+        updateConvertSwatches();
+        updateChartSwatch();
+        
+        restoringProject = false;
+        recalculateAll();
+    }
+    
+    /**
+     * Saved projects and shared links can hold any text, so restored values
+     * are checked before they reach a field: numbers must be plain numbers.
+     */
+    function restoredNumber(value) {
+        return (typeof value === 'number' || typeof value === 'string') && /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(value)
+            ? String(value).trim()
+            : '';
+    }
+    
+    function restoredText(value) {
+        return typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+    }
+    
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    /** Whether `state` has the shape collectProjectState gives, so it can be restored. */
+    function isProjectState(state) {
+        return isPlainObject(state) && isPlainObject(state.units) && isPlainObject(state.fields) && isPlainObject(state.radios);
+    }
+    
+    /**
+     * The URL hash holds the active tab and that tab's inputs, e.g.
+     * `#pickup?{...}`, so a calculation can be shared as a link. A bare
+     * `#pickup` just switches tab.
+     */
+    function encodeStateHash() {
+        const tab = document.querySelector('.tab-radio:checked').id.replace('tab-radio-', '');
+        const state = collectProjectState(document.getElementById(`tab-${tab}`));
+        return `#${tab}?${encodeURIComponent(JSON.stringify(state))}`;
+    }
+    
+    function applyStateHash(hash) {
+        const match = hash.match(/^#([\w-]+)(?:\?(.*))?$/);
+        const tabRadio = match && document.getElementById(`tab-radio-${match[1]}`);
+        if (!tabRadio) return false;
+        
+        let state = null;
+        try {
+            state = match[2] ? JSON.parse(decodeURIComponent(match[2])) : null;
+        } catch (e) {
+            // A mangled link still switches to its tab
+        }
+        
+        if (isProjectState(state)) {
+            applyProjectState({ ...state, activeTab: tabRadio.id });
+        } else {
+            tabRadio.checked = true;
+        }
+        return true;
+    }
+    
+    function updateStateHash() {
+        const hash = encodeStateHash();
+        if (hash !== location.hash) history.pushState(null, '', hash);
+    }
+    
+    function addMeasurementPoint({ name = '', axis = 'width', body = '', ease = '', tolerance = '', priority = 'normal' } = {}) {
+        const id = `point-${++measurementPointCounter}`;
+        const point = document.createElement('div');
+        point.className = 'measurement-point';
+        point.dataset.pointId = id;
+        point.innerHTML = `
+            <div class="measurement-point-header">
+                <input type="text" class="point-name" placeholder="e.g., Chest" value="${escapeHTML(name)}">
+                <select class="point-axis" title="Width scales with stitch gauge, length with row gauge">
+                    <option value="width">Width</option>
+                    <option value="length">Length</option>
+                </select>
+                <select class="point-priority" title="Fit priority">
+                    ${Object.entries(FIT_PRIORITIES).map(([key, p]) => `<option value="${key}">${p.label}</option>`).join('')}
+                </select>
+                <button type="button" class="btn-remove" title="Remove measurement">&times;</button>
+            </div>
+            <div class="measurement-point-fields">
+                <div class="field">
+                    <label for="${id}-body">Body (<span class="unit-length-label">${lengthLabel()}</span>)</label>
+                    <input type="number" id="${id}-body" class="point-body" data-unit="length" placeholder="e.g., 96" step="0.5" min="1">
+                </div>
+                <div class="field">
+                    <label for="${id}-ease">Ease (<span class="unit-length-label">${lengthLabel()}</span>)</label>
+                    <input type="number" id="${id}-ease" class="point-ease" data-unit="length" placeholder="0" step="0.5">
+                </div>
+                <div class="field">
+                    <label for="${id}-tolerance">Tolerance ± (<span class="unit-length-label">${lengthLabel()}</span>)</label>
+                    <input type="number" id="${id}-tolerance" class="point-tolerance" data-unit="length" placeholder="0" step="0.5" min="0">
+                </div>
+            </div>
+        `;
+        
+        point.querySelector('.point-body').value = body;
+        point.querySelector('.point-ease').value = ease;
+        point.querySelector('.point-tolerance').value = tolerance;
+        point.querySelector('.point-axis').value = axis;
+        point.querySelector('.point-priority').value = priority;
+        point.querySelector('.point-name').addEventListener('input', updateSizeColumns);
+        point.querySelector('.btn-remove').addEventListener('click', () => {
+            point.remove();
+            sizeListContainer.querySelectorAll(`.size-measurement[data-point-id="${id}"]`).forEach(input => input.remove());
+            updateSizeColumns();
+        });
+        
+        measurementPointList.appendChild(point);
+        sizeListContainer.querySelectorAll('.size-row').forEach(row => {
+            row.querySelector('.size-length-rows').before(createSizeMeasurementInput(id, ''));
+        });
+        updateSizeColumns();
+        return id;
+    }
+    
+    function getMeasurementPoints() {
+        return [...measurementPointList.querySelectorAll('.measurement-point')].map(point => ({
+            id: point.dataset.pointId,
+            name: point.querySelector('.point-name').value.trim() || 'Measurement',
+            axis: point.querySelector('.point-axis').value,
+            priority: point.querySelector('.point-priority').value,
+            body: readLength(point.querySelector('.point-body')) || 0,
+            ease: readLength(point.querySelector('.point-ease')) || 0,
+            tolerance: readLength(point.querySelector('.point-tolerance')) || 0
+        }));
+    }
+    
+    function createSizeMeasurementInput(pointId, value) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'size-measurement';
+        input.dataset.pointId = pointId;
+        input.dataset.unit = 'length';
+        input.step = '0.5';
+        input.min = '1';
+        input.value = value;
+        return input;
+    }
+    
+    /**
+     * Keep the size table header and placeholders in step with the
+     * measurement points (names, order and units).
+     */
+    function updateSizeColumns() {
+        const points = getMeasurementPoints();
+        
+        sizeHeader.innerHTML = `
+            <span class="size-col-name">Size</span>
+            ${points.map(p => `<span class="size-col-measurement">${escapeHTML(p.name)}</span>`).join('')}
+            <span class="size-col-rows">Rows</span>
+            <span class="size-col-cast-on">Cast-on</span>
+            <span class="size-col-yarn">Yarn (${YARN_UNITS[yarnUnit()].label})</span>
+            <span class="size-col-remove"></span>
+        `;
+        
+        for (const point of points) {
+            sizeListContainer.querySelectorAll(`.size-measurement[data-point-id="${point.id}"]`).forEach(input => {
+                input.placeholder = `${point.name} (${lengthLabel()})`;
+            });
+        }
+    }
+    
+    function addSizeRow(name = '', measurements = {}, lengthRows = '', castOn = '', yardage = '') {
+        const row = document.createElement('div');
+        row.className = 'size-row';
+        row.innerHTML = `
+            <input type="text" class="size-name" placeholder="Size name" value="${escapeHTML(name)}">
+            <input type="number" class="size-length-rows" placeholder="Rows (optional)" step="1" min="1">
+            <input type="number" class="size-cast-on" placeholder="Cast-on (optional)" step="1" min="1">
+            <input type="number" class="size-yardage" data-unit="yarn" placeholder="Yarn (optional)" step="1" min="1">
+            <button type="button" class="btn-remove" title="Remove size">&times;</button>
+        `;
+        
+        const lengthRowsInput = row.querySelector('.size-length-rows');
+        lengthRowsInput.value = lengthRows;
+        row.querySelector('.size-cast-on').value = castOn;
+        row.querySelector('.size-yardage').value = yardage;
+        for (const point of getMeasurementPoints()) {
+            lengthRowsInput.before(createSizeMeasurementInput(point.id, measurements[point.id] ?? ''));
+        }
+        
+        row.querySelector('.btn-remove').addEventListener('click', () => row.remove());
+        sizeListContainer.appendChild(row);
+        updateSizeColumns();
+    }
+    
+    /**
+     * Replace the size list with a pasted or uploaded table. Columns are
+     * matched to measurement points by name, or by position when the table
+     * has no header; unmatched columns become new points. Values are taken
+     * as being in the current length unit.
+     */
+    function importSizeTable(text) {
+        const table = parseSizeTable(text);
+        if (table.error) {
+            showSizeImportStatus(`${table.error}.`, true);
+            return;
+        }
+        
+        const existing = [...measurementPointList.querySelectorAll('.measurement-point')].map(point => ({
+            id: point.dataset.pointId,
+            name: point.querySelector('.point-name').value.trim().toLowerCase()
+        }));
+        const used = new Set();
+        const claim = point => {
+            used.add(point.id);
+            return point.id;
+        };
+        
+        const pointIds = table.points.map(name => {
+            const byName = table.named && existing.find(p => !used.has(p.id) && p.name === name.toLowerCase());
+            if (byName) return claim(byName);
+            const free = table.named
+                ? existing.find(p => !used.has(p.id) && !p.name)
+                : existing.filter(p => !used.has(p.id))[0];
+            if (free) {
+                if (!free.name) measurementPointList.querySelector(`[data-point-id="${free.id}"] .point-name`).value = name;
+                return claim(free);
+            }
+            return claim({ id: addMeasurementPoint({ name }) });
+        });
+        
+        sizeListContainer.innerHTML = '';
+        for (const size of table.sizes) {
+            const measurements = {};
+            size.measurements.forEach((value, index) => {
+                measurements[pointIds[index]] = value ?? '';
+            });
+            addSizeRow(size.name, measurements, size.lengthRows, size.castOn, size.yardage);
+        }
+        updateSizeColumns();
+        
+        const added = pointIds.length - existing.filter(p => used.has(p.id)).length;
+        calculate();
+        showSizeImportStatus(`Imported ${table.sizes.length} size${table.sizes.length !== 1 ? 's' : ''} with ${table.points.length} measurement${table.points.length !== 1 ? 's' : ''}${added ? ` (${added} new)` : ''}.`);
+    }
+    
+    function showSizeImportStatus(message, warning = false) {
+        sizeImportStatus.textContent = message;
+        sizeImportStatus.classList.remove('hidden');
+        sizeImportStatus.classList.toggle('warning', warning);
+    }
+    
+    function addEdgeSegment({ type = 'rows', stitches = '', rows = '', pickupStitches = '', pickupRows = '' } = {}) {
+        const id = `edge-segment-${++edgeSegmentCounter}`;
+        const segment = document.createElement('div');
+        segment.className = 'edge-segment';
+        segment.innerHTML = `
+            <div class="edge-segment-header">
+                <span class="segment-number"></span>
+                <select class="segment-type" title="Segment type">
+                    ${Object.entries(EDGE_SEGMENT_TYPES).map(([key, t]) => `<option value="${key}">${t.label}</option>`).join('')}
+                </select>
+                <button type="button" class="btn-remove" title="Remove segment">&times;</button>
+            </div>
+            <div class="edge-segment-fields">
+                <div class="field segment-stitches-field">
+                    <label for="${id}-stitches">Stitches</label>
+                    <input type="number" id="${id}-stitches" class="segment-stitches" placeholder="e.g., 6" min="1" step="1">
+                </div>
+                <div class="field segment-rows-field">
+                    <label for="${id}-rows">Rows</label>
+                    <input type="number" id="${id}-rows" class="segment-rows" placeholder="e.g., 20" min="1" step="1">
+                </div>
+                <div class="field">
+                    <label>Own pick-up rate</label>
+                    <div class="ratio-input">
+                        <input type="number" class="segment-pickup-stitches" min="1" step="1">
+                        <span>per</span>
+                        <input type="number" class="segment-pickup-rows" min="1" step="1">
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        segment.querySelector('.segment-stitches').value = stitches;
+        segment.querySelector('.segment-rows').value = rows;
+        segment.querySelector('.segment-pickup-stitches').value = pickupStitches;
+        segment.querySelector('.segment-pickup-rows').value = pickupRows;
+        segment.querySelector('.segment-type').value = type;
+        segment.querySelector('.segment-type').addEventListener('change', updateEdgeSegments);
+        segment.querySelector('.btn-remove').addEventListener('click', () => {
+            segment.remove();
+            updateEdgeSegments();
+        });
+        
+        edgeSegmentList.appendChild(segment);
+        updateEdgeSegments();
+    }
+    
+    /**
+     * Number the segments, show only the counts each type needs and show the
+     * rate a segment falls back to when it has none of its own.
+     */
+    function updateEdgeSegments() {
+        edgeSegmentList.querySelectorAll('.edge-segment').forEach((segment, index) => {
+            const type = segment.querySelector('.segment-type').value;
+            segment.querySelector('.segment-number').textContent = `${index + 1}.`;
+            segment.querySelector('.segment-stitches-field').hidden = type === 'rows';
+            segment.querySelector('.segment-rows-field').hidden = type === 'bound-off';
+            segment.querySelector('.segment-pickup-stitches').placeholder = type === 'bound-off' ? '1' : (pickupStitchesInput.value || '3');
+            segment.querySelector('.segment-pickup-rows').placeholder = type === 'bound-off' ? '1' : (pickupRowsInput.value || '4');
+        });
+    }
+    
+    function getEdgeSegments() {
+        const defaultStitches = parseInt(pickupStitchesInput.value);
+        const defaultRows = parseInt(pickupRowsInput.value);
+        
+        return [...edgeSegmentList.querySelectorAll('.edge-segment')].map(segment => {
+            const type = segment.querySelector('.segment-type').value;
+            const ownStitches = parseInt(segment.querySelector('.segment-pickup-stitches').value);
+            const ownRows = parseInt(segment.querySelector('.segment-pickup-rows').value);
+            const hasOwnRate = ownStitches && ownRows;
+            
+            return {
+                type,
+                stitches: type === 'rows' ? 0 : parseInt(segment.querySelector('.segment-stitches').value) || 0,
+                rows: type === 'bound-off' ? 0 : parseInt(segment.querySelector('.segment-rows').value) || 0,
+                pickupStitches: hasOwnRate ? ownStitches : (type === 'bound-off' ? 1 : defaultStitches),
+                pickupRows: hasOwnRate ? ownRows : (type === 'bound-off' ? 1 : defaultRows)
+            };
+        });
+    }
+    
+    /**
+     * Adds a "measure a swatch" panel to a gauge column. The computed gauge is
+     * written into the column's gauge inputs so every calculator picks it up.
+     */
+    function addSwatchEntry(column) {
+        const [gaugeHInput, gaugeVInput] = column.querySelectorAll('input[data-unit="gauge"]');
+        const idPrefix = `${gaugeHInput.id.replace(/-h$/, '')}-swatch`;
+        
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'btn-link swatch-entry-toggle';
+        toggle.textContent = 'Measure a swatch instead';
+        
+        const panel = document.createElement('div');
+        panel.className = 'swatch-entry hidden';
+        panel.innerHTML = `
+            <div class="swatch-entry-grid">
+                <div class="field">
+                    <label for="${idPrefix}-stitches">Stitches counted</label>
+                    <input type="number" id="${idPrefix}-stitches" placeholder="e.g., 24" min="1" step="1">
+                </div>
+                <div class="field">
+                    <label for="${idPrefix}-rows">Rows counted</label>
+                    <input type="number" id="${idPrefix}-rows" placeholder="e.g., 30" min="1" step="1">
+                </div>
+                <div class="field">
+                    <label for="${idPrefix}-width-before">Width before blocking (<span class="unit-length-label">${lengthLabel()}</span>)</label>
+                    <input type="number" id="${idPrefix}-width-before" data-unit="length" step="0.1" min="0.1">
+                </div>
+                <div class="field">
+                    <label for="${idPrefix}-height-before">Height before blocking (<span class="unit-length-label">${lengthLabel()}</span>)</label>
+                    <input type="number" id="${idPrefix}-height-before" data-unit="length" step="0.1" min="0.1">
+                </div>
+                <div class="field">
+                    <label for="${idPrefix}-width-after">Width after blocking (<span class="unit-length-label">${lengthLabel()}</span>)</label>
+                    <input type="number" id="${idPrefix}-width-after" data-unit="length" step="0.1" min="0.1">
+                </div>
+                <div class="field">
+                    <label for="${idPrefix}-height-after">Height after blocking (<span class="unit-length-label">${lengthLabel()}</span>)</label>
+                    <input type="number" id="${idPrefix}-height-after" data-unit="length" step="0.1" min="0.1">
+                </div>
+            </div>
+            <p class="swatch-entry-result"></p>
+        `;
+        
+        const field = name => panel.querySelector(`#${idPrefix}-${name}`);
+        const resultEl = panel.querySelector('.swatch-entry-result');
+        
+        function update() {
+            const swatch = analyzeSwatchMeasurement(
+                parseInt(field('stitches').value),
+                parseInt(field('rows').value),
+                readLength(field('width-before')),
+                readLength(field('height-before')),
+                readLength(field('width-after')),
+                readLength(field('height-after'))
+            );
+            
+            if (swatch.gaugeH) {
+                gaugeHInput.value = roundTo(fromGaugePer10cm(swatch.gaugeH, units.gauge));
+                gaugeHInput.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            if (swatch.gaugeV) {
+                gaugeVInput.value = roundTo(fromGaugePer10cm(swatch.gaugeV, units.gauge));
+                gaugeVInput.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            
+            const parts = [];
+            if (swatch.gaugeH || swatch.gaugeV) {
+                const h = swatch.gaugeH ? formatGauge(swatch.gaugeH, units.gauge) : '?';
+                const v = swatch.gaugeV ? formatGauge(swatch.gaugeV, units.gauge) : '?';
+                parts.push(`Gauge ${swatch.blocked ? 'after' : 'before'} blocking: <strong>${h} st × ${v} rows / ${gaugeLabel()}</strong>`);
+            }
+            const describeChange = (label, change) => {
+                if (change === null) return;
+                const direction = change > 0 ? 'grew' : change < 0 ? 'shrank' : 'unchanged';
+                parts.push(`${label} ${direction}${change !== 0 ? ` ${Math.abs(change)}%` : ''} with blocking`);
+            };
+            describeChange('Width', swatch.widthChange);
+            describeChange('Height', swatch.heightChange);
+            
+            resultEl.innerHTML = parts.join('<br>');
+        }
+        
+        panel.querySelectorAll('input').forEach(input => input.addEventListener('input', update));
+        swatchEntryUpdaters.push(update);
+        
+        toggle.addEventListener('click', () => {
+            const opening = panel.classList.contains('hidden');
+            panel.classList.toggle('hidden', !opening);
+            toggle.textContent = opening ? 'Hide swatch measurement' : 'Measure a swatch instead';
+        });
+        
+        const preview = column.querySelector('.swatch-preview');
+        column.insertBefore(toggle, preview);
+        column.insertBefore(panel, preview);
+    }
+    
+    /**
+     * Gathers every calculator with inputs or a result into #print-summary,
+     * which the print stylesheet shows in place of the app.
+     */
+    function buildPrintSummary() {
+        const project = currentProject();
+        const sections = [...document.querySelectorAll('.tab-content')]
+            .filter(tab => tab !== tabSwatches)
+            .map(describeTabForPrint)
+            .join('');
+        
+        printSummary.innerHTML = `
+            <h1>${escapeHTML(project ? project.name : 'KnitIt')}</h1>
+            <p class="print-meta">KnitIt summary · ${new Date().toLocaleDateString()} · gauge per ${gaugeLabel()}, lengths in ${lengthLabel()}</p>
+            ${sections || '<p class="hint">Nothing has been entered yet.</p>'}
+        `;
+    }
+    
+    function tabTitle(tab) {
+        return document.querySelector(`label[for="tab-radio-${tab.id.replace('tab-', '')}"]`).textContent;
+    }
+    
+    function describeTabForPrint(tab) {
+        const rows = printFieldRows(tab);
+        const lists = tab === tabSize ? printSizeTables()
+            : tab === tabPickup && pickupMode === 'shaped' ? printEdgeSegments()
+            : '';
+        const results = [...tab.querySelectorAll('.result:not(.hidden)')];
+        const entered = rows.some(row => !row.choice);
+        if (!entered && !lists && results.length === 0) return '';
+        
+        const title = tabTitle(tab);
+        const swatches = [...tab.querySelectorAll('.swatch-preview, .swatch-overlay-container')]
+            .filter(preview => preview.querySelector('svg'))
+            .map(preview => {
+                const heading = preview.closest('.gauge-column')?.querySelector('h3');
+                return `<div>${heading ? `<h3>${heading.textContent}</h3>` : ''}${preview.innerHTML}</div>`;
+            });
+        const resultsHTML = results.map(result => {
+            const copy = result.cloneNode(true);
+            copy.removeAttribute('id');
+            copy.querySelectorAll('[id]:not(svg *)').forEach(el => el.removeAttribute('id'));
+            return `<div class="print-result">${copy.innerHTML}</div>`;
+        });
+        
+        return `
+            <section class="print-section">
+                <h2>${title}</h2>
+                ${rows.length ? `
+                    <table class="print-table">
+                        ${rows.map(([label, value]) => `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`).join('')}
+                    </table>
+                ` : ''}
+                ${lists}
+                ${swatches.length ? `<div class="print-swatches">${swatches.join('')}</div>` : ''}
+                ${resultsHTML.join('')}
+            </section>
+        `;
+    }
+    
+    /**
+     * Label/value pairs for the fixed inputs a tab shows, skipping empty
+     * fields and the dynamic lists (printed as tables of their own). Radio
+     * and select choices always have a value, so they are flagged as `choice`
+     * and don't count as the tab having been used.
+     */
+    function printFieldRows(tab) {
+        const lists = [measurementPointList, sizeListContainer, edgeSegmentList];
+        const rows = [];
+        
+        tab.querySelectorAll('.field').forEach(field => {
+            if (field.closest('.hidden, [hidden], .swatch-entry') || lists.some(list => list.contains(field))) return;
+            const label = field.querySelector(':scope > label');
+            const value = printFieldValue(field);
+            if (!label || !value) return;
+            
+            const column = field.closest('.gauge-column')?.querySelector('h3');
+            const row = [column ? `${column.textContent}: ${label.textContent.trim()}` : label.textContent.trim(), value];
+            row.choice = !!field.querySelector('input[type="radio"], select');
+            rows.push(row);
+        });
+        tab.querySelectorAll('.checkbox-option input:checked').forEach(checkbox => {
+            rows.push([checkbox.closest('label').textContent.trim(), 'Yes']);
+        });
+        
+        return rows;
+    }
+    
+    function printFieldValue(field) {
+        const radio = field.querySelector('input[type="radio"]:checked');
+        if (radio) return radio.closest('label').textContent.trim();
+        
+        const ratio = field.querySelector('.ratio-input');
+        if (ratio) {
+            if (![...ratio.querySelectorAll('input')].some(input => input.value)) return '';
+            return [...ratio.children]
+                .map(el => (el.matches('input') ? el.value || el.placeholder : el.textContent.trim()))
+                .join(' ');
+        }
+        
+        const input = field.querySelector('input, select, textarea');
+        if (!input) return '';
+        if (input.tagName === 'SELECT') return input.selectedOptions[0] ? input.selectedOptions[0].textContent : '';
+        return input.value.trim();
+    }
+    
+    function printSizeTables() {
+        const points = [...measurementPointList.querySelectorAll('.measurement-point')];
+        const sizes = [...sizeListContainer.querySelectorAll('.size-row')]
+            .filter(row => [...row.querySelectorAll('input:not(.size-name)')].some(input => input.value));
+        if (sizes.length === 0) return '';
+        
+        const pointRows = points.map(point => {
+            const value = selector => point.querySelector(selector).value;
+            const details = [
+                point.querySelector('.point-axis').selectedOptions[0].textContent,
+                FIT_PRIORITIES[point.querySelector('.point-priority').value].label,
+                value('.point-body') && `body ${value('.point-body')}${lengthLabel()}`,
+                value('.point-ease') && `ease ${value('.point-ease')}${lengthLabel()}`,
+                value('.point-tolerance') && `± ${value('.point-tolerance')}${lengthLabel()}`
+            ].filter(Boolean).join(', ');
+            return `<tr><th>${escapeHTML(point.querySelector('.point-name').value || 'Measurement')}</th><td>${escapeHTML(details)}</td></tr>`;
+        });
+        
+        const header = points.map(point => `<th>${escapeHTML(point.querySelector('.point-name').value || 'Measurement')} (${lengthLabel()})</th>`);
+        const sizeRows = sizes.map(row => `
+            <tr>
+                <td>${escapeHTML(row.querySelector('.size-name').value)}</td>
+                ${[...row.querySelectorAll('.size-measurement')].map(input => `<td>${escapeHTML(input.value)}</td>`).join('')}
+                <td>${escapeHTML(row.querySelector('.size-length-rows').value)}</td>
+                <td>${escapeHTML(row.querySelector('.size-cast-on').value)}</td>
+                <td>${escapeHTML(row.querySelector('.size-yardage').value)}</td>
+            </tr>
+        `);
+        
+        return `
+            <h3>Your measurements</h3>
+            <table class="print-table">${pointRows.join('')}</table>
+            <h3>Pattern sizes</h3>
+            <table class="print-table">
+                <tr><th>Size</th>${header.join('')}<th>Rows</th><th>Cast-on</th><th>Yarn (${YARN_UNITS[yarnUnit()].label})</th></tr>
+                ${sizeRows.join('')}
+            </table>
+        `;
+    }
+    
+    function printEdgeSegments() {
+        const segments = getEdgeSegments();
+        if (segments.length === 0) return '';
+        
+        const rows = segments.map((segment, index) => {
+            const size = segment.type === 'bound-off' ? `${segment.stitches} stitches`
+                : segment.type === 'rows' ? `${segment.rows} rows`
+                : `${segment.stitches} stitches over ${segment.rows} rows`;
+            return `<tr><th>${index + 1}. ${EDGE_SEGMENT_TYPES[segment.type].label}</th><td>${size}, pick up ${segment.pickupStitches} per ${segment.pickupRows}</td></tr>`;
+        });
+        
+        return `
+            <h3>Edge segments</h3>
+            <table class="print-table">${rows.join('')}</table>
+        `;
+    }
+    
+    /**
+     * The library is shared by every project, so it lives under its own key
+     * with gauges per 10cm regardless of the units in use.
+     */
+    function loadSwatchLibrary() {
+        try {
+            const result = normalizeSwatchLibrary(JSON.parse(localStorage.getItem(SWATCH_LIBRARY_KEY)));
+            if (result.swatches) return result.swatches;
+        } catch (e) {
+            // Fall through to an empty library
+        }
+        return [];
+    }
+    
+    function writeSwatchLibrary() {
+        try {
+            localStorage.setItem(SWATCH_LIBRARY_KEY, JSON.stringify({ swatches: swatchLibrary }));
+        } catch (e) {
+            // Storage full or unavailable; keep working from memory
+        }
+    }
+    
+    /**
+     * Adds a stitch pattern selector to a gauge column, drawn by the
+     * column's swatch preview and exports.
+     */
+    function addStitchPatternPicker(column) {
+        const [gaugeHInput] = column.querySelectorAll('input[data-unit="gauge"]');
+        const id = `${gaugeHInput.id.replace(/-h$/, '')}-stitch-pattern`;
+        
+        const field = document.createElement('div');
+        field.className = 'field stitch-pattern-field';
+        field.innerHTML = `
+            <label for="${id}">Stitch pattern</label>
+            <select id="${id}" class="stitch-pattern-select">
+                ${Object.entries(STITCH_PATTERNS).map(([key, p]) => `<option value="${key}">${p.label}</option>`).join('')}
+            </select>
+        `;
+        field.querySelector('select').addEventListener('change', () => {
+            updateSizeSwatches();
+            updatePickupSwatches();
+            updateCombineSwatchPreviews();
+            updateConvertSwatches();
+            updateChartSwatch();
+        });
+        
+        column.querySelector('.swatch-preview').before(field);
+    }
+    
+    /**
+     * Adds a "fill from swatch library" list to a gauge column, writing the
+     * chosen swatch's gauge into the column's inputs.
+     */
+    function addLibraryPicker(column) {
+        const [gaugeHInput, gaugeVInput] = column.querySelectorAll('input[data-unit="gauge"]');
+        
+        const picker = document.createElement('div');
+        picker.className = 'library-picker';
+        const select = document.createElement('select');
+        select.className = 'swatch-library-select';
+        select.title = 'Fill this gauge from a saved swatch';
+        picker.appendChild(select);
+        
+        select.addEventListener('change', () => {
+            const swatch = swatchLibrary.find(s => s.id === select.value);
+            select.value = '';
+            if (!swatch) return;
+            
+            const gauge = swatchLibraryGauge(swatch);
+            gaugeHInput.value = roundTo(fromGaugePer10cm(gauge.gaugeH, units.gauge));
+            gaugeVInput.value = roundTo(fromGaugePer10cm(gauge.gaugeV, units.gauge));
+            [gaugeHInput, gaugeVInput].forEach(input => input.dispatchEvent(new Event('input', { bubbles: true })));
+        });
+        
+        column.querySelector('h3').after(picker);
+        libraryPickers.push(select);
+    }
+    
+    function renderSwatchLibrary() {
+        const pickerOptions = `<option value="">${swatchLibrary.length ? 'Fill from swatch library…' : 'Swatch library is empty'}</option>`
+            + swatchLibrary.map(s => `<option value="${escapeHTML(s.id)}">${escapeHTML(s.name)}</option>`).join('');
+        libraryPickers.forEach(select => {
+            select.innerHTML = pickerOptions;
+            select.disabled = swatchLibrary.length === 0;
+        });
+        
+        if (swatchLibrary.length === 0) {
+            swatchLibraryList.innerHTML = '<p class="hint">No swatches saved yet.</p>';
+            return;
+        }
+        
+        const describeGauge = gauge => `${formatGauge(gauge.gaugeH, units.gauge)} st × ${formatGauge(gauge.gaugeV, units.gauge)} rows / ${gaugeLabel()}`;
+        
+        swatchLibraryList.innerHTML = swatchLibrary.map(swatch => {
+            const details = [
+                swatch.yarn,
+                swatch.weight && YARN_WEIGHTS[swatch.weight],
+                swatch.needle && `${swatch.needle}mm needles`,
+                swatch.stitchPattern
+            ].filter(Boolean).map(escapeHTML);
+            const gauges = [];
+            if (swatch.before) gauges.push(`Before blocking: ${describeGauge(swatch.before)}`);
+            if (swatch.after) gauges.push(`After blocking: ${describeGauge(swatch.after)}`);
+            
+            return `
+                <div class="library-item" data-swatch-id="${escapeHTML(swatch.id)}">
+                    <div class="library-item-header">
+                        <strong>${escapeHTML(swatch.name)}</strong>
+                        <div class="library-item-actions">
+                            <button type="button" class="btn-link" data-action="edit">Edit</button>
+                            <button type="button" class="btn-link" data-action="delete">Delete</button>
+                        </div>
+                    </div>
+                    ${details.length ? `<div class="library-item-details">${details.join(' · ')}</div>` : ''}
+                    <div class="library-item-gauge">${gauges.join('<br>')}</div>
+                    ${swatch.notes ? `<div class="library-item-notes">${escapeHTML(swatch.notes)}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    function showLibraryStatus(message, isError = false) {
+        libraryStatus.textContent = message;
+        libraryStatus.classList.toggle('warning', isError);
+        libraryStatus.classList.remove('hidden');
+    }
+    
+    function fillLibraryForm(swatch) {
+        const gaugeValue = value => (value ? roundTo(fromGaugePer10cm(value, units.gauge)) : '');
+        
+        editingSwatchId = swatch.id;
+        libraryNameInput.value = swatch.name;
+        libraryYarnInput.value = swatch.yarn;
+        libraryWeightSelect.value = swatch.weight;
+        libraryNeedleInput.value = swatch.needle || '';
+        libraryStitchPatternInput.value = swatch.stitchPattern;
+        libraryBeforeHInput.value = gaugeValue(swatch.before && swatch.before.gaugeH);
+        libraryBeforeVInput.value = gaugeValue(swatch.before && swatch.before.gaugeV);
+        libraryAfterHInput.value = gaugeValue(swatch.after && swatch.after.gaugeH);
+        libraryAfterVInput.value = gaugeValue(swatch.after && swatch.after.gaugeV);
+        libraryNotesInput.value = swatch.notes;
+        
+        saveLibrarySwatchBtn.textContent = 'Update Swatch';
+        cancelLibraryEditBtn.classList.remove('hidden');
+        libraryStatus.classList.add('hidden');
+        libraryNameInput.focus();
+    }
+    
+    function clearLibraryForm() {
+        editingSwatchId = null;
+        [libraryNameInput, libraryYarnInput, libraryNeedleInput, libraryStitchPatternInput,
+            libraryBeforeHInput, libraryBeforeVInput, libraryAfterHInput, libraryAfterVInput, libraryNotesInput
+        ].forEach(input => { input.value = ''; });
+        libraryWeightSelect.value = '';
+        saveLibrarySwatchBtn.textContent = 'Save Swatch';
+        cancelLibraryEditBtn.classList.add('hidden');
+    }
+    
+    function saveLibrarySwatch() {
+        const name = libraryNameInput.value.trim();
+        const before = { gaugeH: readGauge(libraryBeforeHInput), gaugeV: readGauge(libraryBeforeVInput) };
+        const after = { gaugeH: readGauge(libraryAfterHInput), gaugeV: readGauge(libraryAfterVInput) };
+        
+        if (!name) {
+            showLibraryStatus('Please give the swatch a name.', true);
+            return;
+        }
+        
+        const result = normalizeSwatchLibrary([{
+            id: editingSwatchId || undefined,
+            name,
+            yarn: libraryYarnInput.value,
+            weight: libraryWeightSelect.value,
+            needle: parseFloat(libraryNeedleInput.value),
+            stitchPattern: libraryStitchPatternInput.value,
+            before,
+            after,
+            notes: libraryNotesInput.value
+        }]);
+        
+        if (result.error) {
+            showLibraryStatus('Please enter stitches and rows before or after blocking.', true);
+            return;
+        }
+        
+        const swatch = result.swatches[0];
+        putLibrarySwatch(swatch);
+        writeSwatchLibrary();
+        renderSwatchLibrary();
+        clearLibraryForm();
+        showLibraryStatus(`Saved "${swatch.name}".`);
+    }
+    
+    function putLibrarySwatch(swatch) {
+        const index = swatchLibrary.findIndex(s => s.id === swatch.id);
+        if (index >= 0) {
+            swatchLibrary[index] = swatch;
+        } else {
+            swatchLibrary.push(swatch);
+        }
+    }
+    
+    function exportSwatchLibrary() {
+        downloadBlob(new Blob([JSON.stringify({ swatches: swatchLibrary }, null, 2)], { type: 'application/json' }), 'knitit-swatches.json');
+    }
+    
+    function downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    /**
+     * "Download SVG / PNG at N dpi" controls. `getDrawing` returns a
+     * composeExportSVG result, or null when there is nothing to draw yet.
+     */
+    function createExportBar(getDrawing, filename) {
+        const bar = document.createElement('div');
+        bar.className = 'export-bar';
+        bar.innerHTML = `
+            <span>Download</span>
+            <button type="button" class="btn-link" data-format="svg">SVG</button>
+            <button type="button" class="btn-link" data-format="png">PNG</button>
+            <label>at
+                <select class="export-dpi" title="PNG resolution">
+                    ${EXPORT_DPIS.map(dpi => `<option value="${dpi}"${dpi === 300 ? ' selected' : ''}>${dpi}</option>`).join('')}
+                </select>
+                dpi
+            </label>
+            <span class="export-status"></span>
+        `;
+        
+        const status = bar.querySelector('.export-status');
+        bar.addEventListener('click', e => {
+            const button = e.target.closest('button[data-format]');
+            if (!button) return;
+            
+            const drawing = getDrawing();
+            status.textContent = drawing ? '' : 'Enter a gauge first';
+            if (!drawing) return;
+            
+            if (button.dataset.format === 'svg') {
+                downloadBlob(new Blob([drawing.svg], { type: 'image/svg+xml' }), `${filename}.svg`);
+            } else {
+                downloadPNG(drawing, parseInt(bar.querySelector('.export-dpi').value), `${filename}.png`);
+            }
+        });
+        
+        return bar;
+    }
+    
+    /**
+     * "Download CSV / JSON" and "Copy for spreadsheet" controls for a result.
+     * `table` is a list of rows; `data` is written as JSON along with a note
+     * that lengths are in centimetres and gauges per 10cm, as calculated.
+     */
+    function createResultExportBar(table, data, filename) {
+        const bar = document.createElement('div');
+        bar.className = 'export-bar';
+        bar.innerHTML = `
+            <span>Results as</span>
+            <button type="button" class="btn-link" data-format="csv">CSV</button>
+            <button type="button" class="btn-link" data-format="json">JSON</button>
+            <button type="button" class="btn-link" data-format="copy">Copy for spreadsheet</button>
+            <span class="export-status"></span>
+        `;
+        
+        const status = bar.querySelector('.export-status');
+        bar.addEventListener('click', e => {
+            const button = e.target.closest('button[data-format]');
+            if (!button) return;
+            status.textContent = '';
+            
+            if (button.dataset.format === 'csv') {
+                downloadBlob(new Blob([toDelimitedText(table)], { type: 'text/csv' }), `${filename}.csv`);
+            } else if (button.dataset.format === 'json') {
+                const json = { units: { length: 'cm', gauge: 'per 10cm' }, ...data };
+                downloadBlob(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), `${filename}.json`);
+            } else if (navigator.clipboard) {
+                navigator.clipboard.writeText(toDelimitedText(table, '\t')).then(
+                    () => { status.textContent = 'Copied'; },
+                    () => { status.textContent = 'Could not copy; use CSV instead'; }
+                );
+            } else {
+                status.textContent = 'Could not copy; use CSV instead';
+            }
+        });
+        
+        return bar;
+    }
+    
+    /**
+     * Rasterizes an export at `dpi`, scaled so that swatches come out at
+     * their real size when printed at that resolution.
+     */
+    function downloadPNG(drawing, dpi, filename) {
+        const scale = dpi / 2.54 / EXPORT_PIXELS_PER_CM;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(drawing.width * scale);
+        canvas.height = Math.round(drawing.height * scale);
+        
+        const image = new Image();
+        image.onload = () => {
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => {
+                blob.arrayBuffer().then(buffer => {
+                    const png = setPNGResolution(new Uint8Array(buffer), dpi);
+                    downloadBlob(new Blob([png], { type: 'image/png' }), filename);
+                });
+            }, 'image/png');
+        };
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(drawing.svg)}`;
+    }
+    
+    /**
+     * The gauge swatches of one calculator: side by side with their gauges,
+     * or, for Combine in overlay mode, stacked at the same stitch count.
+     */
+    function swatchExport(grid) {
+        const columns = [...grid.querySelectorAll('.gauge-column')].map((column, index) => {
+            const [gaugeHInput, gaugeVInput] = column.querySelectorAll('input[data-unit="gauge"]');
+            return {
+                name: column.querySelector('h3').textContent,
+                gaugeH: readGauge(gaugeHInput),
+                gaugeV: readGauge(gaugeVInput),
+                color: SWATCH_COLORS[index],
+                pattern: stitchPatternFor(gaugeHInput)
+            };
+        }).filter(column => column.gaugeH > 0 && column.gaugeV > 0);
+        if (columns.length === 0) return null;
+        
+        const title = `${tabTitle(grid.closest('.tab-content'))}: gauge swatches`;
+        const describe = column => {
+            const pattern = column.pattern === 'stockinette' ? '' : `, ${STITCH_PATTERNS[column.pattern].label.toLowerCase()}`;
+            return `${column.name}: ${formatGauge(column.gaugeH, units.gauge)} st × ${formatGauge(column.gaugeV, units.gauge)} rows / ${gaugeLabel()}${pattern}`;
+        };
+        
+        if (grid.closest('.tab-content') === tabCombine && currentViewMode === 'overlay' && columns.length === 2) {
+            const refCols = Math.round(columns[0].gaugeH * 5 / 10);
+            const refRows = Math.round(columns[0].gaugeV * 5 / 10);
+            return composeExportSVG({
+                title,
+                overlay: true,
+                panels: columns.map(column => ({ svg: renderSwatchByCount(column.gaugeH, column.gaugeV, refCols, refRows, column.color, 0.8, column.pattern) })),
+                legend: columns.map(column => ({ color: column.color, label: describe(column) })),
+                notes: [`Both swatches show ${refCols} st × ${refRows} rows`]
+            });
+        }
+        
+        return composeExportSVG({
+            title,
+            panels: columns.map(column => ({ svg: renderSwatchSVG(column.gaugeH, column.gaugeV, 5, column.color, 1, column.pattern), caption: describe(column) })),
+            notes: [`Each swatch shows ${formatLength(5, units.length)} × ${formatLength(5, units.length)}`]
+        });
+    }
+    
+    function pickupDiagramExport() {
+        if (!lastPickupDiagram) return null;
+        
+        return composeExportSVG({
+            title: lastPickupDiagram.title,
+            panels: [{ svg: renderPickupDiagramSVG(lastPickupDiagram.segments) }],
+            legend: [
+                { color: '#8B5A6B', label: 'Pick up', shape: 'dot' },
+                { color: '#E8DDD4', label: 'Skip', shape: 'dot' }
+            ],
+            notes: lastPickupDiagram.notes
+        });
+    }
+    
+    function pickupGaugeNotes() {
+        const describe = (name, hInput, vInput) => `${name}: ${formatGauge(readGauge(hInput), units.gauge)} st × ${formatGauge(readGauge(vInput), units.gauge)} rows / ${gaugeLabel()}`;
+        return [
+            describe('Your gauge', pickupPersonalGaugeHInput, pickupPersonalGaugeVInput),
+            describe('Pattern gauge', pickupPatternGaugeHInput, pickupPatternGaugeVInput)
+        ];
+    }
+    
+    /**
+     * Merges swatches from an exported file: entries with an id already in
+     * the library replace it, the rest are added.
+     */
+    function importSwatchLibrary(file) {
+        file.text().then(text => {
+            let result;
+            try {
+                result = normalizeSwatchLibrary(JSON.parse(text));
+            } catch (e) {
+                result = { error: 'The file is not valid JSON' };
+            }
+            
+            if (result.error) {
+                showLibraryStatus(`Could not import ${file.name}: ${result.error}.`, true);
+                return;
+            }
+            
+            result.swatches.forEach(putLibrarySwatch);
+            writeSwatchLibrary();
+            renderSwatchLibrary();
+            showLibraryStatus(`Imported ${result.swatches.length} swatch${result.swatches.length !== 1 ? 'es' : ''} from ${file.name}.`);
+        });
+    }
+    
+    function getSizes() {
+        const sizes = [];
+        sizeListContainer.querySelectorAll('.size-row').forEach(row => {
+            const name = row.querySelector('.size-name').value.trim();
+            const lengthRows = parseInt(row.querySelector('.size-length-rows').value);
+            const castOn = parseInt(row.querySelector('.size-cast-on').value);
+            const yardage = toMeters(parseFloat(row.querySelector('.size-yardage').value), yarnUnit());
+            const measurements = {};
+            row.querySelectorAll('.size-measurement').forEach(input => {
+                const measurement = toCentimeters(parseFloat(input.value), units.length);
+                if (measurement) measurements[input.dataset.pointId] = measurement;
+            });
+            if (name || Object.keys(measurements).length > 0) {
+                sizes.push({ name, measurements, lengthRows: lengthRows || 0, castOn: castOn || 0, yardage: yardage || 0 });
+            }
+        });
+        return sizes;
     }
     
     function calculate() {
-        const personalGauge = parseFloat(personalGaugeHInput.value);
-        const patternGauge = parseFloat(patternGaugeHInput.value);
-        const desiredMeasurement = parseFloat(desiredMeasurementInput.value);
+        const personalGauge = readGauge(personalGaugeHInput);
+        const patternGauge = readGauge(patternGaugeHInput);
+        const personalGaugeV = readGauge(personalGaugeVInput);
+        const patternGaugeV = readGauge(patternGaugeVInput);
+        const points = getMeasurementPoints().filter(p => p.body);
         const sizes = getSizes();
         
-        if (!personalGauge || !patternGauge || !desiredMeasurement) {
-            showError('Please fill in your gauge, pattern gauge, and desired measurement.');
+        const problems = [];
+        requirePositive(problems, personalGaugeHInput, personalGauge);
+        requirePositive(problems, patternGaugeHInput, patternGauge);
+        if (points.length === 0) {
+            problems.push({ input: measurementPointList.querySelector('.point-body') || measurementPointList, message: 'Enter at least one body measurement' });
+        }
+        if (!sizes.some(s => s.name && points.some(p => s.measurements[p.id]))) {
+            problems.push({ input: sizeListContainer, message: 'Add at least one size with a name and measurement' });
+        }
+        if (points.some(p => p.axis === 'length') || sizes.some(s => s.lengthRows)) {
+            requirePositive(problems, personalGaugeVInput, personalGaugeV, 'Needed to convert lengths', true);
+            requirePositive(problems, patternGaugeVInput, patternGaugeV, 'Needed to convert lengths', true);
+        }
+        
+        if (showFieldProblems(resultSection, problems)) return;
+        
+        const analysis = rankSizesByFit(personalGauge, patternGauge, personalGaugeV, patternGaugeV, points, sizes);
+        
+        if (analysis.error) {
+            showError(escapeHTML(analysis.error));
+            return;
+        }
+        
+        let inBetween = null;
+        const widthAnalysis = analysis.pointAnalyses.find(p => p.point.axis === 'width');
+        if (interpolateSizeInput.checked && widthAnalysis) {
+            const castOns = {};
+            sizes.forEach(s => { castOns[s.name] = s.castOn; });
+            inBetween = calculateInBetweenSize(
+                widthAnalysis.analysis, widthAnalysis.target, castOns, parseInt(stitchMultipleInput.value) || 1
+            );
+        }
+        
+        displayResult(analysis, inBetween, estimateSizeYarn(analysis, sizes));
+    }
+    
+    /**
+     * Yarn estimate for the size analysis, or null when no size has a
+     * yardage. Skeins are counted in your yarn, or the pattern's when no
+     * substitute is entered.
+     */
+    function estimateSizeYarn(analysis, sizes) {
+        const yardages = {};
+        sizes.forEach(s => {
+            if (s.name && s.yardage) yardages[s.name] = s.yardage;
+        });
+        if (Object.keys(yardages).length === 0) return null;
+        
+        const readYarn = (lengthInput, weightInput) => ({
+            metersPerSkein: toMeters(parseFloat(lengthInput.value), yarnUnit()) || 0,
+            gramsPerSkein: parseFloat(weightInput.value) || 0
+        });
+        const patternYarn = readYarn(patternYarnLengthInput, patternYarnWeightInput);
+        const substitute = readYarn(yarnLengthInput, yarnWeightInput);
+        const margin = yarnMarginInput.value === '' ? 10 : Math.max(0, parseFloat(yarnMarginInput.value) || 0);
+        
+        const areaFactor = calculateFabricAreaFactor(
+            readGauge(personalGaugeHInput), readGauge(patternGaugeHInput),
+            readGauge(personalGaugeVInput), readGauge(patternGaugeVInput)
+        );
+        const estimate = estimateYarnForSizes(
+            analysis, yardages, areaFactor, substitute.metersPerSkein ? substitute : patternYarn, margin / 100
+        );
+        return { ...estimate, substitution: compareYarns(patternYarn, substitute) };
+    }
+    
+    function showError(message) {
+        resultSection.classList.remove('hidden', 'warning', 'stale');
+        resultSection.classList.add('warning');
+        resultContent.innerHTML = `<p class="explanation">${message}</p>`;
+    }
+    
+    function describeYarnEstimate(yarn, sizeName) {
+        if (!yarn) return '';
+        if (yarn.error) {
+            return `
+                <div class="distribution-pattern">
+                    <h4>Yarn:</h4>
+                    <p class="explanation">${yarn.error}.</p>
+                </div>
+            `;
+        }
+        
+        const unit = yarnUnit();
+        const amount = estimate => {
+            let text = formatYarnLength(estimate.withMargin, unit);
+            if (estimate.skeins) text += `, ${estimate.skeins} skein${estimate.skeins !== 1 ? 's' : ''}`;
+            if (estimate.grams) text += ` (${estimate.grams}g)`;
+            return text;
+        };
+        
+        const { areaFactor, recommended } = yarn;
+        const areaChange = Math.round((areaFactor.factor - 1) * 100);
+        const areaText = areaChange === 0
+            ? 'At your gauge the fabric comes out the same size as the pattern\'s'
+            : `At your gauge the same stitches and rows cover ${Math.abs(areaChange)}% ${areaChange > 0 ? 'more' : 'less'} fabric`;
+        const rowsNote = areaFactor.rowsAssumed ? ' (rows assumed to change like stitches; add row gauges to refine this)' : '';
+        const marginText = yarn.margin > 0 ? `, plus a ${Math.round(yarn.margin * 100)}% safety margin` : '';
+        
+        let substitutionText = '';
+        if (yarn.substitution && !yarn.substitution.similar) {
+            const { ratio } = yarn.substitution;
+            substitutionText = ` Your yarn is ${Math.round(Math.abs(ratio - 1) * 100)}% ${ratio > 1 ? 'finer' : 'heavier'} than the pattern's by length per gram, so check your gauge with a swatch in it.`;
+        }
+        
+        const summary = recommended
+            ? `<p class="pattern-text">About ${amount(recommended)}</p>`
+            : `<p class="explanation">Add the yarn for size ${escapeHTML(sizeName)} to estimate it.</p>`;
+        const rows = yarn.sizes.map(estimate => `
+            <tr class="${estimate.recommended ? 'recommended' : ''}">
+                <td>${escapeHTML(estimate.name)}${estimate.recommended ? ' ✓' : ''}</td>
+                <td>${formatYarnLength(estimate.patternYardage, unit)}</td>
+                <td>${amount(estimate)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="distribution-pattern yarn-estimate">
+                <h4>Yarn for size ${escapeHTML(sizeName)}:</h4>
+                ${summary}
+                <p class="repeat-info">${areaText}${rowsNote}${marginText}.${substitutionText}</p>
+                <table class="yarn-table">
+                    <tr><th>Size</th><th>Pattern</th><th>You need</th></tr>
+                    ${rows}
+                </table>
+            </div>
+        `;
+    }
+    
+    function describeFitPoint(point) {
+        const diff = point.differenceFromDesired;
+        let fitText;
+        if (Math.abs(diff) <= 1) {
+            fitText = `very close to your ${formatLength(point.target, units.length)} target`;
+        } else {
+            fitText = `${formatLength(Math.abs(diff), units.length)} ${diff > 0 ? 'larger' : 'smaller'} than your ${formatLength(point.target, units.length)} target`;
+        }
+        if (point.tolerance && !point.withinTolerance) {
+            fitText += `, outside your ±${formatLength(point.tolerance, units.length)} tolerance`;
+        } else if (point.tolerance) {
+            fitText += `, within tolerance`;
+        }
+        return `${escapeHTML(point.name)}: ${formatLength(point.patternMeasurement, units.length)} in the pattern gives approximately <strong>${formatLength(point.actualMeasurement, units.length)}</strong>, ${fitText}.`;
+    }
+    
+    function displayResult(analysis, inBetween, yarn) {
+        resultSection.classList.remove('hidden', 'warning', 'stale');
+        
+        const { bestMatch, runnerUp, decidingPoint, allFit, allSizes, gaugeRatio } = analysis;
+        const multiPoint = bestMatch.points.length > 1;
+        
+        let gaugeDesc = '';
+        if (gaugeRatio > 1.02) {
+            gaugeDesc = `Your gauge is <strong>tighter</strong> than the pattern (${Math.round((gaugeRatio - 1) * 100)}% more stitches per ${gaugeLabel()}).`;
+        } else if (gaugeRatio < 0.98) {
+            gaugeDesc = `Your gauge is <strong>looser</strong> than the pattern (${Math.round((1 - gaugeRatio) * 100)}% fewer stitches per ${gaugeLabel()}).`;
+        } else {
+            gaugeDesc = `Your gauge <strong>matches</strong> the pattern gauge closely.`;
+        }
+        
+        const matchDesc = bestMatch.points.map(describeFitPoint).join('<br>');
+        
+        let decisionDesc = '';
+        if (!allFit) {
+            const failed = bestMatch.points.filter(p => !p.fits).map(p => escapeHTML(p.name)).join(', ');
+            decisionDesc = `<br><br>No size meets every must-fit measurement (${failed} would be too small); this is the closest compromise.`;
+        } else if (decidingPoint && decidingPoint.reason === 'must-fit') {
+            const failedPoint = runnerUp.points.find(p => p.id === decidingPoint.id);
+            decisionDesc = `<br><br>Size ${escapeHTML(runnerUp.name)} was ruled out: its ${escapeHTML(decidingPoint.name)} would come out ${formatLength(Math.abs(failedPoint.differenceFromDesired), units.length)} smaller than your target.`;
+        } else if (decidingPoint && multiPoint) {
+            const bestPoint = bestMatch.points.find(p => p.id === decidingPoint.id);
+            const otherPoint = runnerUp.points.find(p => p.id === decidingPoint.id);
+            decisionDesc = `<br><br><strong>${escapeHTML(decidingPoint.name)}</strong> drove the recommendation: size ${escapeHTML(runnerUp.name)} would be ${formatSignedLength(otherPoint.differenceFromDesired, units.length)} off there, against ${formatSignedLength(bestPoint.differenceFromDesired, units.length)} for size ${escapeHTML(bestMatch.name)}.`;
+        }
+        
+        let lengthDesc = '';
+        if (bestMatch.length) {
+            const { patternRows, patternLength, actualLength, rowsNeeded, rowAdjustment } = bestMatch.length;
+            lengthDesc = `<br><br>Length: the pattern's ${patternRows} rows measure ${formatLength(patternLength, units.length)} at pattern gauge, but <strong>${formatLength(actualLength, units.length)}</strong> at your row gauge. `;
+            if (rowAdjustment === 0) {
+                lengthDesc += `Work the rows as written.`;
+            } else {
+                const addOrRemove = rowAdjustment > 0 ? 'add' : 'remove';
+                lengthDesc += `Work <strong>${rowsNeeded} rows</strong> instead (${addOrRemove} ${Math.abs(rowAdjustment)} row${Math.abs(rowAdjustment) !== 1 ? 's' : ''}) to match the pattern's length.`;
+            }
+        }
+        
+        let inBetweenHTML = '';
+        if (inBetween && inBetween.error) {
+            inBetweenHTML = `
+                <div class="distribution-pattern">
+                    <h4>In-between size:</h4>
+                    <p class="explanation">${escapeHTML(inBetween.error)}.</p>
+                </div>
+            `;
+        } else if (inBetween) {
+            const roundingNote = inBetween.multiple > 1
+                ? ` (${inBetween.rawCastOn} rounded to a multiple of ${inBetween.multiple})`
+                : '';
+            inBetweenHTML = `
+                <div class="distribution-pattern">
+                    <h4>In-between size (${Math.round(inBetween.fraction * 100)}% of the way from ${escapeHTML(inBetween.lower)} to ${escapeHTML(inBetween.upper)}):</h4>
+                    <p class="pattern-text">Cast on ${inBetween.castOn} stitches</p>
+                    <p class="repeat-info">${inBetween.castOn} stitches${roundingNote} give approximately ${formatLength(inBetween.actualMeasurement, units.length)} at your gauge (${formatSignedLength(inBetween.differenceFromDesired, units.length)} from your target). Work the rest of the pattern between sizes ${escapeHTML(inBetween.lower)} and ${escapeHTML(inBetween.upper)}.</p>
+                </div>
+            `;
+        }
+        
+        const sizeListHTML = allSizes.map(size => {
+            const isRecommended = size.name === bestMatch.name;
+            const pointsHTML = size.points.map(p => `
+                <span class="size-point">
+                    ${multiPoint ? `<span class="point-label">${escapeHTML(p.name)}</span>` : ''}
+                    <span class="measurement">${formatLength(p.patternMeasurement, units.length)} → </span>
+                    <span class="adjusted">${formatLength(p.actualMeasurement, units.length)} (${formatSignedLength(p.differenceFromDesired, units.length)})</span>
+                </span>
+            `).join('');
+            const fitText = size.fits ? '' : '<span class="fit-warning">too small</span>';
+            const lengthText = size.length
+                ? `<span class="length">${size.length.patternRows} rows → ${formatLength(size.length.actualLength, units.length)}; work ${size.length.rowsNeeded} rows for ${formatLength(size.length.patternLength, units.length)}</span>`
+                : '';
+            return `
+                <div class="size-item ${isRecommended ? 'recommended' : ''}">
+                    <span class="name">${escapeHTML(size.name)}${isRecommended ? ' ✓' : ''}${fitText}</span>
+                    ${pointsHTML}
+                    ${lengthText}
+                </div>
+            `;
+        }).join('');
+        
+        resultContent.innerHTML = `
+            <div class="best-size">Knit size ${escapeHTML(bestMatch.name)}</div>
+            <p class="explanation">
+                ${gaugeDesc}<br><br>
+                ${matchDesc}${decisionDesc}${lengthDesc}
+            </p>
+            ${inBetweenHTML}
+            ${describeYarnEstimate(yarn, bestMatch.name)}
+            <div class="all-sizes">
+                <h3>All sizes with your gauge:</h3>
+                <div class="size-comparison">
+                    ${sizeListHTML}
+                </div>
+            </div>
+        `;
+        
+        resultContent.appendChild(createResultExportBar(
+            sizeAnalysisTable(analysis, units.length, yarn),
+            { sizes: analysis, inBetween: inBetween || null, yarn: yarn || null },
+            'knitit-sizes'
+        ));
+    }
+    
+    function calculatePickup() {
+        if (pickupMode === 'shaped') {
+            calculateShapedPickup();
+            return;
+        }
+        
+        const personalGaugeH = readGauge(pickupPersonalGaugeHInput);
+        const personalGaugeV = readGauge(pickupPersonalGaugeVInput);
+        const patternGaugeH = readGauge(pickupPatternGaugeHInput);
+        const patternGaugeV = readGauge(pickupPatternGaugeVInput);
+        const patternStitches = parseInt(pickupStitchesInput.value);
+        const patternRows = parseInt(pickupRowsInput.value);
+        const totalRows = parseInt(totalRowsInput.value);
+        
+        const problems = [];
+        requirePositive(problems, pickupPersonalGaugeHInput, personalGaugeH);
+        requirePositive(problems, pickupPersonalGaugeVInput, personalGaugeV);
+        requirePositive(problems, pickupPatternGaugeHInput, patternGaugeH);
+        requirePositive(problems, pickupPatternGaugeVInput, patternGaugeV);
+        requirePositive(problems, pickupStitchesInput, patternStitches);
+        requirePositive(problems, pickupRowsInput, patternRows);
+        requirePositive(problems, totalRowsInput, totalRows);
+        
+        if (showFieldProblems(pickupResultSection, problems)) return;
+        
+        const adjusted = calculateAdjustedPickupRatio(
+            patternStitches, patternRows,
+            personalGaugeH, personalGaugeV,
+            patternGaugeH, patternGaugeV
+        );
+        
+        if (!adjusted) {
+            showPickupError('Could not calculate adjusted ratio. Please check your inputs.');
+            return;
+        }
+        
+        const constrained = constrainPickupCount(
+            totalRows * adjusted.ratio,
+            personalGaugeH,
+            parseInt(pickupMultipleInput.value) || 1,
+            parseInt(pickupOffsetInput.value) || 0
+        );
+        const totalStitchesToPickup = constrained.count;
+        
+        if (totalStitchesToPickup < 1) {
+            showPickupError('The calculated pick-up count is too low. Please check your gauge values.');
+            return;
+        }
+        
+        const distributionInfo = describeDistribution(totalStitchesToPickup, totalRows);
+        
+        displayPickupResult(adjusted, patternStitches, patternRows, totalRows, totalStitchesToPickup, distributionInfo, constrained);
+    }
+    
+    function showPickupError(message) {
+        pickupResultSection.classList.remove('hidden', 'warning', 'stale');
+        pickupResultSection.classList.add('warning');
+        pickupResultContent.innerHTML = `<p class="explanation">${message}</p>`;
+    }
+    
+    function displayPickupResult(adjusted, patternStitches, patternRows, totalRows, totalStitchesToPickup, distributionInfo, constrained) {
+        pickupResultSection.classList.remove('hidden', 'warning', 'stale');
+        
+        const repeatPattern = findMinimalRepeat(totalStitchesToPickup, totalRows);
+        
+        const dotVisualization = generateDotVisualization(repeatPattern.pattern);
+        
+        pickupResultContent.innerHTML = `
+            <div class="pickup-summary">Pick up ${totalStitchesToPickup} stitches over ${totalRows} rows</div>
+            ${describePickupRounding(constrained)}
+            
+            <div class="distribution-pattern">
+                <h4>Pattern to repeat:</h4>
+                <p class="pattern-text">${repeatPattern.description}</p>
+                <p class="repeat-info">Repeat this ${repeatPattern.repeats} time${repeatPattern.repeats !== 1 ? 's' : ''}</p>
+            </div>
+            
+            <div class="dot-visualization">
+                <h4>One repeat (${repeatPattern.cycleRows} rows):</h4>
+                <div class="dot-pattern">
+                    ${dotVisualization}
+                </div>
+                <div class="dot-legend">
+                    <span><span class="dot pickup"></span> Pick up</span>
+                    <span><span class="dot"></span> Skip</span>
+                </div>
+            </div>
+            
+            <p class="pattern-note">
+                <small>(Pattern says ${patternStitches} per ${patternRows} rows → adjusted for your gauge)</small>
+            </p>
+        `;
+        
+        lastPickupDiagram = {
+            title: `Pick up ${totalStitchesToPickup} stitches over ${totalRows} rows`,
+            segments: [repeatPattern.pattern],
+            notes: [
+                `${repeatPattern.description} (repeat ${repeatPattern.repeats} time${repeatPattern.repeats !== 1 ? 's' : ''})`,
+                `One repeat: ${repeatPattern.cycleRows} rows`,
+                ...pickupGaugeNotes(),
+                `Pattern says ${patternStitches} per ${patternRows} rows`
+            ]
+        };
+        pickupResultContent.querySelector('.dot-visualization').appendChild(createExportBar(pickupDiagramExport, 'knitit-pickup'));
+        
+        const edge = {
+            label: 'Edge',
+            unit: 'row',
+            distribution: Array.from({ length: repeatPattern.repeats }, () => repeatPattern.pattern).flat(),
+            repeatLength: repeatPattern.repeats > 1 ? repeatPattern.cycleRows : 0
+        };
+        pickupResultContent.querySelector('.dot-visualization').after(createPickupChecklist([edge]));
+        pickupResultContent.appendChild(createResultExportBar(
+            pickupDistributionTable([edge]),
+            {
+                pickup: { total: totalStitchesToPickup, rows: totalRows, patternStitches, patternRows, ratio: adjusted.ratio, rounding: constrained },
+                repeat: { description: repeatPattern.description, stitches: repeatPattern.cycleStitches, rows: repeatPattern.cycleRows, repeats: repeatPattern.repeats, pattern: repeatPattern.pattern }
+            },
+            'knitit-pickup'
+        ));
+    }
+    
+    /**
+     * Tap-through checklist for working a pick-up: every row (or bound-off
+     * stitch) along the edge with a running count, repeat and segment starts
+     * marked. The position is saved against the distribution, so calculating
+     * the same pick-up again after a reload carries on where you stopped.
+     */
+    function createPickupChecklist(segments) {
+        const steps = expandPickupChecklist(segments);
+        const total = steps.length > 0 ? steps[steps.length - 1].pickedUp : 0;
+        const key = segments.map(segment => segment.distribution.join(',')).join('|');
+        const placeName = step => `${segments[step.segment].unit === 'stitch' ? 'Stitch' : 'Row'} ${step.position + 1}`;
+        const actionText = step => (step.count === 0 ? 'Skip' : `Pick up ${step.count}`);
+        
+        const saved = loadPickupProgress();
+        let current = saved && saved.key === key ? Math.min(saved.step, steps.length) : 0;
+        
+        const container = document.createElement('div');
+        container.className = 'pickup-checklist-container';
+        container.innerHTML = `
+            <button type="button" class="btn-secondary pickup-checklist-toggle"></button>
+            <div class="pickup-checklist hidden">
+                <div class="checklist-progress">
+                    <span class="checklist-progress-text"></span>
+                    <span class="checklist-progress-bar"><span></span></span>
+                </div>
+                <div class="checklist-current"></div>
+                <div class="checklist-controls">
+                    <button type="button" class="btn-secondary" data-action="back">Back</button>
+                    <button type="button" class="btn-primary" data-action="next">Done, next</button>
+                </div>
+                <ol class="checklist-steps">
+                    ${steps.map((step, index) => {
+                        const segment = segments[step.segment];
+                        let marker = '';
+                        if (step.segmentStart && segments.length > 1) {
+                            marker = `<span class="checklist-marker">${step.segment + 1}. ${segment.label}</span>`;
+                        } else if (step.repeatStart && step.repeat > 0) {
+                            marker = `<span class="checklist-marker">Repeat ${step.repeat + 1}</span>`;
+                        }
+                        return `
+                            <li data-step="${index}" class="${step.count === 0 ? 'skip' : 'pickup'}${marker ? ' boundary' : ''}">
+                                ${marker}
+                                <span class="checklist-place">${placeName(step)}</span>
+                                <span class="checklist-action">${actionText(step)}</span>
+                                <span class="checklist-count">${step.pickedUp}</span>
+                            </li>
+                        `;
+                    }).join('')}
+                </ol>
+                <button type="button" class="btn-link" data-action="reset">Start over</button>
+            </div>
+        `;
+        
+        const toggle = container.querySelector('.pickup-checklist-toggle');
+        const panel = container.querySelector('.pickup-checklist');
+        const list = container.querySelector('.checklist-steps');
+        const items = [...list.children];
+        
+        const setOpen = open => {
+            panel.classList.toggle('hidden', !open);
+            toggle.textContent = open ? 'Hide checklist' : 'Pick up row by row';
+            if (open) update();
+        };
+        
+        function describeCurrent() {
+            if (current >= steps.length) {
+                return `<span class="checklist-current-action">All ${total} stitches picked up</span>`;
+            }
+            
+            const step = steps[current];
+            const segment = segments[step.segment];
+            let where = '';
+            if (segments.length > 1) {
+                where = `Segment ${step.segment + 1} of ${segments.length}: ${segment.label}`;
+            } else if (segment.repeatLength) {
+                const repeats = Math.ceil(segment.distribution.length / segment.repeatLength);
+                where = `Repeat ${step.repeat + 1} of ${repeats} · row ${step.repeatPosition + 1} of ${segment.repeatLength}`;
+            }
+            return `
+                <span class="checklist-place">${placeName(step)}</span>
+                <span class="checklist-current-action">${actionText(step)}</span>
+                ${where ? `<span class="repeat-info">${where}</span>` : ''}
+            `;
+        }
+        
+        function update() {
+            const pickedUp = current > 0 ? steps[current - 1].pickedUp : 0;
+            container.querySelector('.checklist-progress-text').textContent =
+                `${current} of ${steps.length} done · ${pickedUp} of ${total} stitches picked up`;
+            container.querySelector('.checklist-progress-bar span').style.width = `${steps.length > 0 ? current / steps.length * 100 : 0}%`;
+            container.querySelector('.checklist-current').innerHTML = describeCurrent();
+            container.querySelector('[data-action="back"]').disabled = current === 0;
+            container.querySelector('[data-action="next"]').disabled = current >= steps.length;
+            
+            items.forEach((item, index) => {
+                item.classList.toggle('done', index < current);
+                item.classList.toggle('current', index === current);
+            });
+            const currentItem = items[Math.min(current, items.length - 1)];
+            if (currentItem) list.scrollTop = currentItem.offsetTop - list.offsetTop - list.clientHeight / 2;
+            
+            savePickupProgress(key, current);
+        }
+        
+        toggle.addEventListener('click', () => setOpen(panel.classList.contains('hidden')));
+        panel.addEventListener('click', e => {
+            const item = e.target.closest('li[data-step]');
+            const action = e.target.closest('button[data-action]');
+            if (item) {
+                current = parseInt(item.dataset.step);
+            } else if (!action) {
+                return;
+            } else if (action.dataset.action === 'next') {
+                current = Math.min(current + 1, steps.length);
+            } else if (action.dataset.action === 'back') {
+                current = Math.max(current - 1, 0);
+            } else {
+                current = 0;
+            }
+            update();
+        });
+        
+        setOpen(current > 0);
+        return container;
+    }
+    
+    /**
+     * Only the pick-up being worked is remembered: { key, step }, where key
+     * is the distribution it belongs to.
+     */
+    function loadPickupProgress() {
+        try {
+            return JSON.parse(localStorage.getItem(PICKUP_PROGRESS_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    function savePickupProgress(key, step) {
+        try {
+            localStorage.setItem(PICKUP_PROGRESS_KEY, JSON.stringify({ key, step }));
+        } catch (e) {
+            // Storage full or unavailable; progress lasts until the page closes
+        }
+    }
+    
+    /**
+     * Explains a rounded pick-up count: where it came from and how much the
+     * border will be stretched or eased to fit the edge.
+     */
+    function describePickupRounding(constrained) {
+        if (constrained.multiple <= 1) return '';
+        
+        const form = `a multiple of ${constrained.multiple}${constrained.offset ? ` plus ${constrained.offset}` : ''}`;
+        if (Math.abs(constrained.lengthChange) < 0.05) {
+            return `<p class="repeat-info">${constrained.count} is already ${form}.</p>`;
+        }
+        
+        const change = formatLength(Math.abs(constrained.lengthChange), units.length);
+        const effect = constrained.lengthChange > 0
+            ? 'slightly eased in along the edge'
+            : 'slightly stretched along the edge';
+        return `
+            <p class="repeat-info">Rounded from ${roundTo(constrained.rawCount)} to ${constrained.count}, ${form}.
+            The border comes out ${change} ${constrained.lengthChange > 0 ? 'longer' : 'shorter'} than the edge and will be ${effect}.</p>
+        `;
+    }
+    
+    function calculateCombine() {
+        const mainGaugeH = readGauge(mainGaugeHInput);
+        const mainGaugeV = readGauge(mainGaugeVInput);
+        const borderGaugeH = readGauge(borderGaugeHInput);
+        const borderGaugeV = readGauge(borderGaugeVInput);
+        const mainCount = parseInt(mainStitchesInput.value);
+        const pickupAlong = document.querySelector('input[name="join-direction"]:checked').value;
+        const joinMode = document.querySelector('input[name="join-mode"]:checked').value;
+        const joinEvery = parseInt(joinEveryInput.value) || 1;
+        
+        const problems = [];
+        requirePositive(problems, mainStitchesInput, mainCount);
+        if (pickupAlong === 'along-stitches') {
+            requirePositive(problems, mainGaugeHInput, mainGaugeH);
+        } else {
+            requirePositive(problems, mainGaugeVInput, mainGaugeV, 'Needed to join along rows');
+        }
+        if (joinMode === 'picked-up') {
+            requirePositive(problems, borderGaugeHInput, borderGaugeH);
+        } else {
+            requirePositive(problems, borderGaugeVInput, borderGaugeV, 'Needed for a border whose rows run along the edge');
+        }
+        
+        if (showFieldProblems(combineResultSection, problems)) return;
+        
+        const result = calculateGaugeCombination(mainGaugeH, mainGaugeV, borderGaugeH, borderGaugeV, mainCount, pickupAlong, joinMode, joinEvery);
+        
+        if (!result) {
+            showCombineError('Could not calculate. Please check your inputs.');
+            return;
+        }
+        
+        displayCombineResult(result);
+    }
+    
+    function showCombineError(message) {
+        combineResultSection.classList.remove('hidden', 'warning', 'stale');
+        combineResultSection.classList.add('warning');
+        combineResultContent.innerHTML = `<p class="explanation">${message}</p>`;
+    }
+    
+    function displayCombineResult(result) {
+        combineResultSection.classList.remove('hidden', 'warning', 'stale');
+        
+        if (result.mode !== 'picked-up') {
+            displayRowBorderResult(result);
             return;
         }
         
-        if (sizes.length === 0 || !sizes.some(s => s.name && s.measurement)) {
-            showError('Please add at least one pattern size with a name and measurement.');
-            return;
+        const edgeType = result.type === 'along-stitches' ? 'cast-on/bind-off' : 'selvedge';
+        const summaryText = `Pick up ${result.borderStitches} stitches`;
+        const extra = document.querySelector('input[name="extra-stitches"]:checked').value;
+        const unit = result.mainUnit === 'stitches' ? 'stitch' : 'row';
+        const repeatPattern = findMinimalRepeat(result.borderStitches, result.mainCount, unit, result.mainUnit, extra);
+        const extraLegend = repeatPattern.pattern.some(count => count > 1)
+            ? `<span><span class="dot pickup multi">2</span> ${extra === 'increase' ? 'Pick up 1, M1' : 'Pick up 2'}</span>`
+            : '';
+        
+        let detailText;
+        if (result.type === 'along-stitches') {
+            detailText = `Your main fabric has ${result.mainCount} stitches (${formatLength(result.measurement, units.length)} wide).`;
+        } else {
+            detailText = `Your main fabric has ${result.mainCount} rows (${formatLength(result.measurement, units.length)} tall).`;
+        }
+        
+        if (result.borderStitches !== result.mainCount) {
+            const diff = Math.abs(result.borderStitches - result.mainCount);
+            const moreOrFewer = result.borderStitches > result.mainCount ? 'more' : 'fewer';
+            detailText += ` With the border gauge, you need <strong>${diff} ${moreOrFewer}</strong> stitches to match the same measurement.`;
         }
         
-        const analysis = analyzeAllSizes(personalGauge, patternGauge, desiredMeasurement, sizes);
+        const ratioText = `<br><br>Ratio: <strong>${result.simplified.a} border stitches per ${result.simplified.b} main ${result.mainUnit}</strong>`;
         
-        if (analysis.error) {
-            showError(analysis.error);
-            return;
-        }
+        combineResultContent.innerHTML = `
+            <div class="combine-summary">${summaryText}</div>
+            <p class="explanation">${detailText}${ratioText}</p>
+            <div class="distribution-pattern">
+                <h4>Along ${edgeType} edge, pick up ${result.borderStitches} stitches over ${result.mainCount} ${result.mainUnit}:</h4>
+                <p class="pattern-text">${repeatPattern.description}</p>
+                <p class="repeat-info">Repeat this ${repeatPattern.repeats} time${repeatPattern.repeats !== 1 ? 's' : ''}</p>
+            </div>
+            
+            <div class="dot-visualization">
+                <h4>One repeat (${repeatPattern.cycleRows} ${repeatPattern.cycleRows !== 1 ? result.mainUnit : unit}):</h4>
+                <div class="dot-pattern">
+                    ${generateDotVisualization(repeatPattern.pattern)}
+                </div>
+                <div class="dot-legend">
+                    <span><span class="dot pickup"></span> Pick up</span>
+                    <span><span class="dot"></span> Skip</span>
+                    ${extraLegend}
+                </div>
+            </div>
+        `;
         
-        displayResult(analysis, personalGauge, patternGauge, desiredMeasurement);
+        const table = [
+            ['Quantity', 'Value'],
+            ['Join', result.type === 'along-stitches' ? 'Along stitches' : 'Along rows'],
+            [`Main fabric ${result.mainUnit}`, result.mainCount],
+            [`Edge length (${lengthLabel()})`, roundTo(fromCentimeters(result.measurement, units.length))],
+            ['Border stitches to pick up', result.borderStitches],
+            ['Ratio', `${result.simplified.a} border stitches per ${result.simplified.b} main ${result.mainUnit}`],
+            ['Pattern to repeat', repeatPattern.description],
+            ['Repeats', repeatPattern.repeats]
+        ];
+        combineResultContent.appendChild(createResultExportBar(table, { combine: result, repeat: repeatPattern }, 'knitit-combine'));
     }
     
-    function showError(message) {
-        resultSection.classList.remove('hidden', 'warning');
-        resultSection.classList.add('warning');
-        resultContent.innerHTML = `<p class="explanation">${message}</p>`;
+    /**
+     * A sideways or seamed border: how many border rows to work and how to
+     * spread the joins along the main edge.
+     */
+    function displayRowBorderResult(result) {
+        const sideways = result.mode === 'sideways';
+        const edgeType = result.type === 'along-stitches' ? 'cast-on/bind-off' : 'selvedge';
+        const size = result.type === 'along-stitches' ? 'wide' : 'tall';
+        
+        let detailText = `Your main fabric has ${result.mainCount} ${result.mainUnit} (${formatLength(result.measurement, units.length)} ${size}). At the border's row gauge that takes <strong>${result.borderRows} rows</strong> (${formatLength(result.borderLength, units.length)}).`;
+        if (sideways && result.joinEvery > 1) {
+            detailText += ` Joining on every ${result.joinEvery} rows gives ${result.joins} joins.`;
+        }
+        
+        let approximateText = '';
+        if (result.approximate) {
+            const verb = sideways ? 'join' : 'seam';
+            approximateText = `<p class="repeat-info">For an easier rhythm, ${describeJoinRate(result.approximate.a, result.approximate.b, result.joinEvery, result.mainUnit, verb)}, and even out the difference over the last few ${sideways ? 'joins' : 'rows'}.</p>`;
+        }
+        
+        combineResultContent.innerHTML = `
+            <div class="combine-summary">Work ${result.borderRows} border rows</div>
+            <p class="explanation">${detailText}</p>
+            <div class="distribution-pattern">
+                <h4>${sideways ? 'Joining' : 'Seaming'} along the ${edgeType} edge:</h4>
+                <p class="pattern-text">${result.description.charAt(0).toUpperCase()}${result.description.slice(1)}</p>
+                ${approximateText}
+            </div>
+        `;
+        
+        const table = [
+            ['Quantity', 'Value'],
+            ['Join', result.type === 'along-stitches' ? 'Along stitches' : 'Along rows'],
+            ['Border', JOIN_MODES[result.mode].label],
+            [`Main fabric ${result.mainUnit}`, result.mainCount],
+            [`Edge length (${lengthLabel()})`, roundTo(fromCentimeters(result.measurement, units.length))],
+            ['Border rows', result.borderRows],
+            ...(sideways ? [['Join on every', `${result.joinEvery} border row${result.joinEvery !== 1 ? 's' : ''}`], ['Joins', result.joins]] : []),
+            ['Rate', result.description]
+        ];
+        combineResultContent.appendChild(createResultExportBar(table, { combine: result }, 'knitit-combine'));
     }
     
-    function displayResult(analysis, personalGauge, patternGauge, desiredMeasurement) {
-        resultSection.classList.remove('hidden', 'warning');
-        
-        const { bestMatch, allSizes, gaugeRatio } = analysis;
+    function convertPattern() {
+        const personalGaugeH = readGauge(convertPersonalGaugeHInput);
+        const personalGaugeV = readGauge(convertPersonalGaugeVInput);
+        const patternGaugeH = readGauge(convertPatternGaugeHInput);
+        const patternGaugeV = readGauge(convertPatternGaugeVInput);
+        const text = patternTextInput.value;
         
-        let gaugeDesc = '';
-        if (gaugeRatio > 1.02) {
-            gaugeDesc = `Your gauge is <strong>tighter</strong> than the pattern (${Math.round((gaugeRatio - 1) * 100)}% more stitches per 10cm).`;
-        } else if (gaugeRatio < 0.98) {
-            gaugeDesc = `Your gauge is <strong>looser</strong> than the pattern (${Math.round((1 - gaugeRatio) * 100)}% fewer stitches per 10cm).`;
-        } else {
-            gaugeDesc = `Your gauge <strong>matches</strong> the pattern gauge closely.`;
+        const problems = [];
+        requirePositive(problems, convertPersonalGaugeHInput, personalGaugeH);
+        requirePositive(problems, convertPersonalGaugeVInput, personalGaugeV);
+        requirePositive(problems, convertPatternGaugeHInput, patternGaugeH);
+        requirePositive(problems, convertPatternGaugeVInput, patternGaugeV);
+        if (!text.trim()) {
+            problems.push({ input: patternTextInput, message: 'Paste the pattern instructions or counts to convert' });
         }
         
-        let matchDesc = '';
-        if (Math.abs(bestMatch.differenceFromDesired) <= 1) {
-            matchDesc = `This will give you approximately <strong>${bestMatch.actualMeasurement}cm</strong>, which is very close to your target!`;
-        } else if (bestMatch.differenceFromDesired > 0) {
-            matchDesc = `This will give you approximately <strong>${bestMatch.actualMeasurement}cm</strong>, which is ${Math.abs(bestMatch.differenceFromDesired)}cm larger than your target.`;
-        } else {
-            matchDesc = `This will give you approximately <strong>${bestMatch.actualMeasurement}cm</strong>, which is ${Math.abs(bestMatch.differenceFromDesired)}cm smaller than your target.`;
+        if (showFieldProblems(convertResultSection, problems)) return;
+        
+        const lines = parsePatternInstructions(text);
+        lines.forEach((line, lineIndex) => {
+            line.tokens.forEach((token, tokenIndex) => {
+                const override = convertOverrides[`${lineIndex}:${tokenIndex}`];
+                if (override) {
+                    token.type = override;
+                    token.total = false;
+                    token.shaping = false;
+                    token.rate = false;
+                }
+            });
+        });
+        
+        if (!lines.some(line => line.tokens.length > 0)) {
+            showConvertError('No stitch or row counts found in the pattern text.');
+            return;
         }
         
-        const sizeListHTML = allSizes.map(size => {
-            const isRecommended = size.name === bestMatch.name;
-            const diffText = size.differenceFromDesired > 0 
-                ? `+${size.differenceFromDesired}cm` 
-                : `${size.differenceFromDesired}cm`;
-            return `
-                <div class="size-item ${isRecommended ? 'recommended' : ''}">
-                    <span class="name">${size.name}${isRecommended ? ' ✓' : ''}</span>
-                    <span class="measurement">${size.patternMeasurement}cm → </span>
-                    <span class="adjusted">${size.actualMeasurement}cm (${diffText})</span>
-                </div>
-            `;
+        const converted = convertPatternInstructions(
+            lines,
+            personalGaugeH / patternGaugeH,
+            personalGaugeV / patternGaugeV,
+            parseInt(convertMultipleInput.value) || 1,
+            parseInt(convertOffsetInput.value) || 0
+        );
+        
+        displayConvertResult(converted);
+    }
+    
+    function showConvertError(message) {
+        convertResultSection.classList.remove('hidden', 'warning', 'stale');
+        convertResultSection.classList.add('warning');
+        convertResultContent.innerHTML = `<p class="explanation">${message}</p>`;
+    }
+    
+    const COUNT_TYPE_LABELS = {
+        stitches: 'stitch count (stitch gauge)',
+        rows: 'row count (row gauge)',
+        interval: 'shaping interval',
+        times: 'shaping repeats',
+        fixed: 'unchanged'
+    };
+    
+    function displayConvertResult(lines) {
+        convertResultSection.classList.remove('hidden', 'warning', 'stale');
+        
+        const linesHTML = lines.map((line, lineIndex) => {
+            let html = '';
+            let position = 0;
+            line.tokens.forEach((token, tokenIndex) => {
+                html += escapeHTML(line.text.slice(position, token.start));
+                const title = `${COUNT_TYPE_LABELS[token.type]}: ${token.value} → ${token.converted} (click to change)`;
+                html += `<button type="button" class="count-token count-${token.type}" data-line="${lineIndex}" data-token="${tokenIndex}" title="${title}">${token.converted}</button>`;
+                position = token.end;
+            });
+            html += escapeHTML(line.text.slice(position));
+            
+            const shapingNote = line.shaping
+                ? `<span class="shaping-note">Exact shaping over ${line.shaping.rows} rows: ${line.shaping.description}</span>`
+                : '';
+            return `<div class="converted-line">${html || '&nbsp;'}${shapingNote}</div>`;
         }).join('');
         
-        resultContent.innerHTML = `
-            <div class="best-size">Knit size ${bestMatch.name}</div>
-            <p class="explanation">
-                ${gaugeDesc}<br><br>
-                To achieve your desired ${desiredMeasurement}cm measurement, you should follow <strong>size ${bestMatch.name}</strong> (${bestMatch.patternMeasurement}cm in the pattern).<br><br>
-                ${matchDesc}
-            </p>
-            <div class="all-sizes">
-                <h3>All sizes with your gauge:</h3>
-                <div class="size-comparison">
-                    ${sizeListHTML}
-                </div>
+        convertResultContent.innerHTML = `
+            <div class="converted-lines">${linesHTML}</div>
+            <div class="dot-legend">
+                <span><span class="count-token count-stitches">st</span> Stitches</span>
+                <span><span class="count-token count-rows">row</span> Rows</span>
+                <span><span class="count-token count-fixed">#</span> Unchanged</span>
+            </div>
+            <p class="pattern-note"><small>Click a highlighted number to change how it is converted. Check running stitch totals after shaping.</small></p>
+            <div class="field field-spaced">
+                <label for="converted-text">Converted text</label>
+                <textarea id="converted-text" class="converted-text" rows="${Math.min(lines.length + 1, 10)}" readonly>${escapeHTML(lines.map(l => l.converted).join('\n'))}</textarea>
             </div>
         `;
+        
+        convertResultContent.querySelectorAll('.count-token[data-line]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const key = `${btn.dataset.line}:${btn.dataset.token}`;
+                const token = lines[btn.dataset.line].tokens[btn.dataset.token];
+                const current = COUNT_TYPES.indexOf(convertOverrides[key] || token.type);
+                convertOverrides[key] = COUNT_TYPES[(current + 1) % COUNT_TYPES.length];
+                convertPattern();
+            });
+        });
     }
     
-    function calculatePickup() {
-        const personalGaugeH = parseFloat(pickupPersonalGaugeHInput.value);
-        const personalGaugeV = parseFloat(pickupPersonalGaugeVInput.value);
-        const patternGaugeH = parseFloat(pickupPatternGaugeHInput.value);
-        const patternGaugeV = parseFloat(pickupPatternGaugeVInput.value);
-        const patternStitches = parseInt(pickupStitchesInput.value);
-        const patternRows = parseInt(pickupRowsInput.value);
-        const totalRows = parseInt(totalRowsInput.value);
+    function calculateShapingResult() {
+        const startStitches = parseInt(shapingStartInput.value);
+        const endStitches = parseInt(shapingEndInput.value);
+        const totalRows = parseInt(shapingRowsInput.value);
+        const perShapingRow = parseInt(document.querySelector('input[name="shaping-per-row"]:checked').value);
         
-        if (!personalGaugeH || !personalGaugeV || !patternGaugeH || !patternGaugeV) {
-            showPickupError('Please enter all gauge values.');
-            return;
-        }
+        const problems = [];
+        requirePositive(problems, shapingStartInput, startStitches);
+        requirePositive(problems, shapingEndInput, endStitches);
+        requirePositive(problems, shapingRowsInput, totalRows);
         
-        if (!patternStitches || !patternRows) {
-            showPickupError('Please enter the pattern\'s pick-up instruction (stitches per rows).');
+        if (showFieldProblems(shapingResultSection, problems)) return;
+        
+        const shaping = calculateShaping(startStitches, endStitches, totalRows, perShapingRow);
+        
+        if (!shaping) {
+            showShapingError('Could not calculate shaping. Please check your inputs.');
             return;
         }
         
-        if (!totalRows) {
-            showPickupError('Please enter the total rows along your edge.');
+        if (shaping.error) {
+            showShapingError(`${shaping.error}.`);
             return;
         }
         
-        const adjusted = calculateAdjustedPickupRatio(
-            patternStitches, patternRows,
-            personalGaugeH, personalGaugeV,
-            patternGaugeH, patternGaugeV
-        );
+        displayShapingResult(shaping);
+    }
+    
+    function showShapingError(message) {
+        shapingResultSection.classList.remove('hidden', 'warning', 'stale');
+        shapingResultSection.classList.add('warning');
+        shapingResultContent.innerHTML = `<p class="explanation">${message}</p>`;
+    }
+    
+    function displayShapingResult(shaping) {
+        shapingResultSection.classList.remove('hidden', 'warning', 'stale');
         
-        if (!adjusted) {
-            showPickupError('Could not calculate adjusted ratio. Please check your inputs.');
-            return;
-        }
+        const verb = shaping.type === 'increase' ? 'Increase' : 'Decrease';
+        const abbreviation = shaping.type === 'increase' ? 'Inc' : 'Dec';
+        const perRowText = shaping.perShapingRow === 2
+            ? '1 st at each end'
+            : `${shaping.perShapingRow} st${shaping.perShapingRow !== 1 ? 's' : ''}`;
+        const change = Math.abs(shaping.endStitches - shaping.startStitches);
+        
+        shapingResultContent.innerHTML = `
+            <div class="pickup-summary">${verb} ${change} stitches over ${shaping.totalRows} rows</div>
+            
+            <div class="distribution-pattern">
+                <h4>Instruction:</h4>
+                <p class="pattern-text">${abbreviation} ${perRowText} ${shaping.description}</p>
+                <p class="repeat-info">${shaping.shapingRows} shaping row${shaping.shapingRows !== 1 ? 's' : ''}, ${shaping.startStitches} → ${shaping.endStitches} stitches</p>
+            </div>
+            
+            <div class="dot-visualization">
+                <h4>Row by row (${shaping.totalRows} rows):</h4>
+                <div class="dot-pattern">
+                    ${generateDotVisualization(shaping.rows)}
+                </div>
+                <div class="dot-legend">
+                    <span><span class="dot pickup"></span> Shaping row</span>
+                    <span><span class="dot"></span> Plain row</span>
+                </div>
+            </div>
+        `;
+    }
+    
+    function calculateRowShaping() {
+        const stitches = parseInt(rowShapingStitchesInput.value);
+        const change = parseInt(rowShapingChangeInput.value);
+        const type = document.querySelector('input[name="row-shaping-type"]:checked').value;
+        const knitting = document.querySelector('input[name="row-shaping-knitting"]:checked').value;
         
-        const totalStitchesToPickup = Math.round(totalRows * adjusted.ratio);
+        const problems = [];
+        requirePositive(problems, rowShapingStitchesInput, stitches);
+        requirePositive(problems, rowShapingChangeInput, change);
         
-        if (totalStitchesToPickup < 1) {
-            showPickupError('The calculated pick-up count is too low. Please check your gauge values.');
+        if (showFieldProblems(rowShapingResultSection, problems)) return;
+        
+        const shaping = calculateEvenRowShaping(stitches, change, knitting, type);
+        
+        if (shaping.error) {
+            showRowShapingError(`${shaping.error}.`);
             return;
         }
         
-        const distributionInfo = describeDistribution(totalStitchesToPickup, totalRows);
-        
-        displayPickupResult(adjusted, patternStitches, patternRows, totalRows, totalStitchesToPickup, distributionInfo);
+        displayRowShapingResult(shaping);
     }
     
-    function showPickupError(message) {
-        pickupResultSection.classList.remove('hidden', 'warning');
-        pickupResultSection.classList.add('warning');
-        pickupResultContent.innerHTML = `<p class="explanation">${message}</p>`;
+    function showRowShapingError(message) {
+        rowShapingResultSection.classList.remove('hidden', 'warning', 'stale');
+        rowShapingResultSection.classList.add('warning');
+        rowShapingResultContent.innerHTML = `<p class="explanation">${message}</p>`;
     }
     
-    function displayPickupResult(adjusted, patternStitches, patternRows, totalRows, totalStitchesToPickup, distributionInfo) {
-        pickupResultSection.classList.remove('hidden', 'warning');
-        
-        const repeatPattern = findMinimalRepeat(totalStitchesToPickup, totalRows);
+    function displayRowShapingResult(shaping) {
+        rowShapingResultSection.classList.remove('hidden', 'warning', 'stale');
         
-        const dotVisualization = generateDotVisualization(repeatPattern.pattern);
+        const isIncrease = shaping.type === 'increase';
         
-        pickupResultContent.innerHTML = `
-            <div class="pickup-summary">Pick up ${totalStitchesToPickup} stitches over ${totalRows} rows</div>
+        rowShapingResultContent.innerHTML = `
+            <div class="pickup-summary">${isIncrease ? 'Increase' : 'Decrease'} ${shaping.change} stitches evenly across ${shaping.stitches}</div>
             
             <div class="distribution-pattern">
-                <h4>Pattern to repeat:</h4>
-                <p class="pattern-text">${repeatPattern.description}</p>
-                <p class="repeat-info">Repeat this ${repeatPattern.repeats} time${repeatPattern.repeats !== 1 ? 's' : ''}</p>
+                <h4>${shaping.knitting === 'flat' ? 'Flat row' : 'Round'}:</h4>
+                <p class="pattern-text">${shaping.description}</p>
+                <p class="repeat-info">${shaping.stitches} → ${shaping.finalStitches} stitches</p>
             </div>
             
             <div class="dot-visualization">
-                <h4>One repeat (${repeatPattern.cycleRows} rows):</h4>
+                <h4>Across the ${shaping.knitting === 'flat' ? 'row' : 'round'} (${shaping.stitches} stitches):</h4>
                 <div class="dot-pattern">
-                    ${dotVisualization}
+                    ${generateDotVisualization(shaping.row)}
                 </div>
                 <div class="dot-legend">
-                    <span><span class="dot pickup"></span> Pick up</span>
-                    <span><span class="dot"></span> Skip</span>
+                    <span><span class="dot"></span> Knit</span>
+                    ${isIncrease
+                        ? '<span><span class="dot pickup"></span> M1</span>'
+                        : '<span><span class="dot pickup multi">2</span> k2tog</span>'}
                 </div>
             </div>
-            
-            <p class="pattern-note">
-                <small>(Pattern says ${patternStitches} per ${patternRows} rows → adjusted for your gauge)</small>
-            </p>
         `;
     }
     
-    function findMinimalRepeat(totalStitches, totalRows) {
-        const g = gcd(totalStitches, totalRows);
-        const cycleStitches = totalStitches / g;
-        const cycleRows = totalRows / g;
+    /**
+     * Charts are previewed at up to this many px across or down; exports are
+     * drawn at their real size.
+     */
+    const CHART_PREVIEW_SIZE = 480;
+    
+    function calculateChart() {
+        const gaugeH = readGauge(chartGaugeHInput);
+        const gaugeV = readGauge(chartGaugeVInput);
+        const targetWidth = readLength(chartTargetWidthInput);
+        const targetHeight = readLength(chartTargetHeightInput);
+        const chart = chartImage ? null : parseChart(chartTextInput.value);
+        
+        const problems = [];
+        requirePositive(problems, chartGaugeHInput, gaugeH);
+        requirePositive(problems, chartGaugeVInput, gaugeV);
+        if (!chartImage && !chart) {
+            problems.push({ input: chartTextInput, message: 'Draw, paste or import a chart' });
+        }
+        [chartTargetWidthInput, chartTargetHeightInput].forEach(input => {
+            if (input.value.trim() !== '') requirePositive(problems, input, readLength(input));
+        });
+        if (chartImage && !(targetWidth > 0) && !(targetHeight > 0)) {
+            problems.push({ input: chartTargetWidthInput, message: 'Enter a finished width or height to trace the image', force: true });
+        }
         
-        const pattern = generateEvenDistribution(cycleStitches, cycleRows);
+        if (showFieldProblems(chartResultSection, problems)) return;
         
-        const sequences = [];
-        let i = 0;
-        while (i < pattern.length) {
-            const stitchCount = pattern[i];
-            let rows = 0;
-            while (i < pattern.length && pattern[i] === stitchCount) {
-                rows++;
-                i++;
-            }
-            sequences.push({ stitches: stitchCount, rows });
+        if (chart && chart.error) {
+            showChartError(`${chart.error}.`);
+            return;
         }
         
-        let description;
-        if (sequences.length === 1) {
-            const s = sequences[0];
-            if (s.stitches === 0) {
-                description = `Skip ${s.rows} row${s.rows !== 1 ? 's' : ''}`;
-            } else if (s.stitches === 1) {
-                description = `Pick up 1 from each of ${s.rows} row${s.rows !== 1 ? 's' : ''}`;
-            } else {
-                description = `Pick up ${s.stitches} from each of ${s.rows} row${s.rows !== 1 ? 's' : ''}`;
-            }
-        } else {
-            const parts = sequences.map(s => {
-                if (s.stitches === 0) {
-                    return `skip ${s.rows}`;
-                } else if (s.rows === 1) {
-                    return `pick up ${s.stitches}`;
-                } else {
-                    return `pick up ${s.stitches} × ${s.rows} rows`;
-                }
-            });
-            description = parts.join(' → ');
+        const [sourceStitches, sourceRows] = chartImage ? [chartImage.width, chartImage.height] : [chart.stitches, chart.rows];
+        const resize = calculateChartResize(sourceStitches, sourceRows, gaugeH, gaugeV, targetWidth, targetHeight);
+        if (resize && resize.error) {
+            showChartError(`${resize.error}.`);
+            return;
         }
         
-        return {
-            cycleStitches,
-            cycleRows,
-            repeats: g,
-            pattern,
-            sequences,
-            description
-        };
+        const resized = resize && (chartImage
+            ? chartFromPixels(chartImage, resize.stitches, resize.rows, parseInt(chartColoursSelect.value))
+            : resampleChart(chart, resize.stitches, resize.rows));
+        displayChartResult(chart, resized, gaugeH, gaugeV);
     }
     
-    function generateDotVisualization(distribution) {
-        return distribution.map(count => {
-            if (count === 0) {
-                return '<span class="dot"></span>';
-            } else if (count === 1) {
-                return '<span class="dot pickup"></span>';
-            } else {
-                return `<span class="dot pickup multi">${count}</span>`;
-            }
-        }).join('');
+    function showChartError(message) {
+        chartResultSection.classList.remove('hidden', 'warning', 'stale');
+        chartResultSection.classList.add('warning');
+        chartResultContent.innerHTML = `<p class="explanation">${message}</p>`;
+        lastChart = null;
     }
     
-    function calculateCombine() {
-        const mainGaugeH = parseFloat(mainGaugeHInput.value);
-        const mainGaugeV = parseFloat(mainGaugeVInput.value);
-        const borderGaugeH = parseFloat(borderGaugeHInput.value);
-        const borderGaugeV = parseFloat(borderGaugeVInput.value);
-        const mainCount = parseInt(mainStitchesInput.value);
-        const pickupAlong = document.querySelector('input[name="join-direction"]:checked').value;
+    function showChartStatus(message, warning = false) {
+        chartStatus.textContent = message;
+        chartStatus.classList.remove('hidden');
+        chartStatus.classList.toggle('warning', warning);
+    }
+    
+    function clearChartImage() {
+        chartImage = null;
+        chartStatus.classList.add('hidden');
+    }
+    
+    /**
+     * Reads an image file into RGBA pixels for chartFromPixels, scaled down
+     * to at most 400px across or down so tracing stays quick.
+     */
+    function loadChartImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                const scale = Math.min(1, 400 / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(image.width * scale));
+                canvas.height = Math.max(1, Math.round(image.height * scale));
+                const context = canvas.getContext('2d');
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve({ width: canvas.width, height: canvas.height, data: context.getImageData(0, 0, canvas.width, canvas.height).data });
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Not an image'));
+            };
+            image.src = url;
+        });
+    }
+    
+    /**
+     * Clicking a stitch of the chart preview changes it to the next colour,
+     * cycling through the chart's symbols (with "x" added to a one-colour
+     * chart), and writes the chart back to the text field in its format.
+     */
+    function drawChartStitch(row, stitch) {
+        const known = Object.keys(CHART_SYMBOL_COLORS).filter(symbol => lastChart.symbols.includes(symbol));
+        const symbols = [...new Set([...known, ...lastChart.symbols])];
+        if (symbols.length === 1) symbols.push(symbols[0] === 'x' ? '.' : 'x');
         
-        if (!mainCount) {
-            showCombineError('Please enter the count on your main fabric edge.');
-            return;
+        const cells = lastChart.cells[row];
+        cells[stitch] = symbols[(symbols.indexOf(cells[stitch]) + 1) % symbols.length];
+        const csv = /[,;\t]/.test(chartTextInput.value.trim().split('\n', 1)[0]);
+        chartTextInput.value = chartToText(lastChart, csv ? 'csv' : 'grid');
+        calculateChart();
+        scheduleProjectSave();
+    }
+    
+    function describeChartAspect(aspect) {
+        const change = Math.round(Math.abs(1 - aspect) * 100);
+        if (change === 0) return 'Your stitches are square, so the chart knits to the proportions it is drawn in.';
+        return `Each stitch is ${roundTo(aspect, 2)} times as tall as it is wide, so the chart knits ${change}% ${aspect < 1 ? 'shorter' : 'taller'} than it looks on square paper.`;
+    }
+    
+    function chartLegendItems(chart) {
+        return chart.symbols
+            .filter(symbol => chart.counts[symbol] > 0)
+            .map(symbol => ({
+                color: chartColor(chart, symbol),
+                label: `${symbol}: ${chart.counts[symbol]} stitch${chart.counts[symbol] !== 1 ? 'es' : ''}`
+            }));
+    }
+    
+    function chartLegendHTML(chart) {
+        return `
+            <div class="dot-legend chart-legend">
+                ${chartLegendItems(chart).map(item => `<span><span class="chart-key" style="background: ${item.color}"></span> ${escapeHTML(item.label)}</span>`).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * A chart as a download at its real knitted size, with its colour key.
+     */
+    function chartExport(chart, size, title) {
+        const caption = `${chart.stitches} stitches × ${chart.rows} rows at ${formatGauge(readGauge(chartGaugeHInput), units.gauge)} st × ${formatGauge(readGauge(chartGaugeVInput), units.gauge)} rows / ${gaugeLabel()}: ${formatLength(size.width, units.length)} × ${formatLength(size.height, units.length)}`;
+        return composeExportSVG({
+            title,
+            panels: [{
+                svg: renderChartSVG(chart, size.stitchWidth * EXPORT_PIXELS_PER_CM, size.rowHeight * EXPORT_PIXELS_PER_CM),
+                caption
+            }],
+            legend: chartLegendItems(chart)
+        });
+    }
+    
+    function displayChartResult(chart, resized, gaugeH, gaugeV) {
+        chartResultSection.classList.remove('hidden', 'warning', 'stale');
+        lastChart = chart;
+        
+        const sizeOf = c => calculateChartSize(c.stitches, c.rows, gaugeH, gaugeV);
+        const previewScale = (size, ...heights) => Math.min(EXPORT_PIXELS_PER_CM, CHART_PREVIEW_SIZE / Math.max(size.width, size.height, ...heights));
+        const dimensions = size => `${formatLength(size.width, units.length)} × ${formatLength(size.height, units.length)}`;
+        
+        let sourceHTML = '';
+        if (chart) {
+            const size = sizeOf(chart);
+            const scale = previewScale(size, chart.rows * size.stitchWidth);
+            const stitchWidth = size.stitchWidth * scale;
+            sourceHTML = `
+                <div class="pickup-summary">${chart.stitches} stitches × ${chart.rows} rows knit to ${dimensions(size)}</div>
+                <p class="explanation">${describeChartAspect(size.aspect)}</p>
+                <div class="chart-previews">
+                    <figure class="chart-panel">
+                        <div class="chart-drawing">${renderChartSVG(chart, stitchWidth, stitchWidth, false)}</div>
+                        <figcaption>On square paper</figcaption>
+                    </figure>
+                    <figure class="chart-panel">
+                        <div class="chart-drawing">${renderChartSVG(chart, stitchWidth, size.rowHeight * scale)}</div>
+                        <figcaption>Knitted at your gauge</figcaption>
+                    </figure>
+                </div>
+                ${chartLegendHTML(chart)}
+            `;
         }
         
-        if (pickupAlong === 'along-stitches' && (!mainGaugeH || !borderGaugeH)) {
-            showCombineError('Please enter stitches per 10cm for both fabrics.');
-            return;
+        let resizedHTML = '';
+        if (resized) {
+            const size = sizeOf(resized);
+            const scale = previewScale(size);
+            resizedHTML = `
+                <div class="distribution-pattern chart-resized">
+                    <h4>${chart ? 'Resized' : 'Traced'} to ${dimensions(size)}:</h4>
+                    <p class="pattern-text">${resized.stitches} stitches × ${resized.rows} rows</p>
+                    <figure class="chart-panel">
+                        ${renderChartSVG(resized, size.stitchWidth * scale, size.rowHeight * scale)}
+                    </figure>
+                    ${chartLegendHTML(resized)}
+                    <div class="field field-spaced">
+                        <label for="resized-chart-text">Resized chart</label>
+                        <textarea id="resized-chart-text" class="converted-text chart-text" rows="${Math.min(resized.rows, 10)}" readonly>${escapeHTML(chartToText(resized))}</textarea>
+                    </div>
+                    <button type="button" class="btn-secondary chart-use">Use this chart</button>
+                </div>
+            `;
         }
         
-        if (pickupAlong === 'along-rows' && (!mainGaugeV || !borderGaugeH)) {
-            showCombineError('Please enter main fabric rows/10cm and border stitches/10cm.');
-            return;
+        chartResultContent.innerHTML = sourceHTML + resizedHTML;
+        
+        if (chart) {
+            chartResultContent.querySelector('.chart-legend').after(createExportBar(() => chartExport(chart, sizeOf(chart), 'Colourwork chart'), 'knitit-chart'));
+        }
+        if (resized) {
+            const resizedSection = chartResultContent.querySelector('.chart-resized');
+            resizedSection.querySelector('.chart-legend').after(createExportBar(() => chartExport(resized, sizeOf(resized), 'Resized colourwork chart'), 'knitit-chart-resized'));
+            const size = sizeOf(resized);
+            resizedSection.appendChild(createResultExportBar(
+                resized.cells,
+                { chart: { stitches: resized.stitches, rows: resized.rows, width: size.width, height: size.height, cells: resized.cells, palette: resized.palette } },
+                'knitit-chart-resized'
+            ));
+            resizedSection.querySelector('.chart-use').addEventListener('click', () => {
+                chartTextInput.value = chartToText(resized);
+                clearChartImage();
+                calculateChart();
+            });
+        }
+    }
+    
+    function calculateShapedPickup() {
+        const personalGaugeH = readGauge(pickupPersonalGaugeHInput);
+        const personalGaugeV = readGauge(pickupPersonalGaugeVInput);
+        const patternGaugeH = readGauge(pickupPatternGaugeHInput);
+        const patternGaugeV = readGauge(pickupPatternGaugeVInput);
+        const segments = getEdgeSegments();
+        
+        const problems = [];
+        requirePositive(problems, pickupPersonalGaugeHInput, personalGaugeH);
+        requirePositive(problems, pickupPersonalGaugeVInput, personalGaugeV);
+        requirePositive(problems, pickupPatternGaugeHInput, patternGaugeH);
+        requirePositive(problems, pickupPatternGaugeVInput, patternGaugeV);
+        if (segments.length === 0) {
+            problems.push({ input: edgeSegmentList, message: 'Add at least one edge segment', force: true });
+        }
+        edgeSegmentList.querySelectorAll('.edge-segment').forEach((element, index) => {
+            const segment = segments[index];
+            if (segment.type !== 'rows') requirePositive(problems, element.querySelector('.segment-stitches'), segment.stitches);
+            if (segment.type !== 'bound-off') requirePositive(problems, element.querySelector('.segment-rows'), segment.rows);
+        });
+        if (segments.some(s => s.type !== 'bound-off' && (!s.pickupStitches || !s.pickupRows))) {
+            const message = 'Needed for segments without their own rate';
+            requirePositive(problems, pickupStitchesInput, parseInt(pickupStitchesInput.value), message, true);
+            requirePositive(problems, pickupRowsInput, parseInt(pickupRowsInput.value), message, true);
         }
         
-        const result = calculateGaugeCombination(mainGaugeH, mainGaugeV, borderGaugeH, borderGaugeV, mainCount, pickupAlong);
+        if (showFieldProblems(pickupResultSection, problems)) return;
         
-        if (!result) {
-            showCombineError('Could not calculate. Please check your inputs.');
+        const result = calculateEdgePickup(
+            segments,
+            personalGaugeH, personalGaugeV,
+            patternGaugeH, patternGaugeV,
+            parseInt(pickupMultipleInput.value) || 1,
+            parseInt(pickupOffsetInput.value) || 0
+        );
+        
+        if (result.error) {
+            showPickupError(`${result.error}.`);
             return;
         }
         
-        displayCombineResult(result);
-    }
-    
-    function showCombineError(message) {
-        combineResultSection.classList.remove('hidden', 'warning');
-        combineResultSection.classList.add('warning');
-        combineResultContent.innerHTML = `<p class="explanation">${message}</p>`;
+        if (result.total < 1) {
+            showPickupError('The calculated pick-up count is too low. Please check your gauge values.');
+            return;
+        }
+        
+        displayShapedPickupResult(result);
     }
     
-    function displayCombineResult(result) {
-        combineResultSection.classList.remove('hidden', 'warning');
+    function displayShapedPickupResult(result) {
+        pickupResultSection.classList.remove('hidden', 'warning', 'stale');
         
-        const edgeType = result.type === 'along-stitches' ? 'cast-on/bind-off' : 'selvedge';
-        const summaryText = `Pick up ${result.borderStitches} stitches`;
+        const repeatPatterns = result.segments.map(segment => (
+            findMinimalRepeat(segment.count, segment.units, segment.unit, segment.unit === 'stitch' ? 'stitches' : 'rows')
+        ));
+        const distributions = repeatPatterns.map(repeatPattern => (
+            Array.from({ length: repeatPattern.repeats }, () => repeatPattern.pattern).flat()
+        ));
         
-        let detailText;
-        if (result.type === 'along-stitches') {
-            detailText = `Your main fabric has ${result.mainCount} stitches (${result.measurement}cm wide).`;
-        } else {
-            detailText = `Your main fabric has ${result.mainCount} rows (${result.measurement}cm tall).`;
-        }
+        const segmentsHTML = result.segments.map((segment, index) => {
+            const unitPlural = segment.unit === 'stitch' ? 'stitches' : 'rows';
+            const repeatPattern = repeatPatterns[index];
+            const size = segment.type === 'diagonal'
+                ? `${segment.stitches} stitches over ${segment.rows} rows`
+                : `${segment.units} ${unitPlural}`;
+            return `
+                <div class="distribution-pattern">
+                    <h4>${index + 1}. ${EDGE_SEGMENT_TYPES[segment.type].label} (${size}): pick up ${segment.count}</h4>
+                    <p class="pattern-text">${repeatPattern.description}</p>
+                    <p class="repeat-info">Repeat this ${repeatPattern.repeats} time${repeatPattern.repeats !== 1 ? 's' : ''}</p>
+                </div>
+            `;
+        }).join('');
         
-        if (result.borderStitches !== result.mainCount) {
-            const diff = Math.abs(result.borderStitches - result.mainCount);
-            const moreOrFewer = result.borderStitches > result.mainCount ? 'more' : 'fewer';
-            detailText += ` With the border gauge, you need <strong>${diff} ${moreOrFewer}</strong> stitches to match the same measurement.`;
-        }
+        const combinedDots = distributions
+            .map(distribution => generateDotVisualization(distribution))
+            .join('<span class="dot-separator"></span>');
         
-        const ratioText = `<br><br>Ratio: <strong>${result.simplified.a} border stitches per ${result.simplified.b} main ${result.mainUnit}</strong>`;
+        const roundingNote = describePickupRounding(
+            constrainPickupCount(result.rawTotal, readGauge(pickupPersonalGaugeHInput), result.multiple, result.offset)
+        );
         
-        combineResultContent.innerHTML = `
-            <div class="combine-summary">${summaryText}</div>
-            <p class="explanation">${detailText}${ratioText}</p>
-            <div class="distribution-pattern">
-                <h4>Along ${edgeType} edge:</h4>
-                <p class="pattern-text">Pick up <strong>${result.borderStitches}</strong> stitches over ${result.mainCount} ${result.mainUnit}</p>
+        pickupResultContent.innerHTML = `
+            <div class="pickup-summary">Pick up ${result.total} stitches along the edge</div>
+            ${roundingNote}
+            
+            ${segmentsHTML}
+            
+            <div class="dot-visualization">
+                <h4>Whole edge (${result.segments.length} segment${result.segments.length !== 1 ? 's' : ''}):</h4>
+                <div class="dot-pattern">
+                    ${combinedDots}
+                </div>
+                <div class="dot-legend">
+                    <span><span class="dot pickup"></span> Pick up</span>
+                    <span><span class="dot"></span> Skip</span>
+                    <span><span class="dot-separator"></span> Next segment</span>
+                </div>
             </div>
         `;
+        
+        lastPickupDiagram = {
+            title: `Pick up ${result.total} stitches along the edge`,
+            segments: distributions,
+            notes: [
+                ...result.segments.map((segment, index) => `${index + 1}. ${EDGE_SEGMENT_TYPES[segment.type].label}: pick up ${segment.count} over ${segment.units} ${segment.unit === 'stitch' ? 'stitches' : 'rows'}`),
+                ...pickupGaugeNotes()
+            ]
+        };
+        pickupResultContent.querySelector('.dot-visualization').appendChild(createExportBar(pickupDiagramExport, 'knitit-pickup'));
+        
+        const segments = result.segments.map((segment, index) => ({
+            label: EDGE_SEGMENT_TYPES[segment.type].label,
+            unit: segment.unit,
+            distribution: distributions[index],
+            repeatLength: repeatPatterns[index].repeats > 1 ? repeatPatterns[index].cycleRows : 0
+        }));
+        pickupResultContent.querySelector('.dot-visualization').after(createPickupChecklist(segments));
+        pickupResultContent.appendChild(createResultExportBar(
+            pickupDistributionTable(segments),
+            { pickup: result, distributions: segments },
+            'knitit-pickup'
+        ));
     }
 });
@@ -0,0 +1,79 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+const cli = fileURLToPath(new URL('../bin/knitit.js', import.meta.url));
+
+/** Runs the CLI and resolves with its exit code, stdout and stderr. */
+async function knitit(...args) {
+    try {
+        const { stdout, stderr } = await promisify(execFile)(process.execPath, [cli, ...args]);
+        return { code: 0, stdout, stderr };
+    } catch (error) {
+        return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+    }
+}
+
+describe('knitit CLI', () => {
+    let dir;
+    before(() => { dir = mkdtempSync(join(tmpdir(), 'knitit-')); });
+    after(() => rmSync(dir, { recursive: true, force: true }));
+    
+    test('size picks the closest size, as JSON', async () => {
+        const { code, stdout } = await knitit('size', '--gauge', '22', '--pattern-gauge', '20', '--target', '100', '--sizes', 'S=90,M=100', '--json');
+        assert.equal(code, 0);
+        const result = JSON.parse(stdout);
+        assert.deepEqual(result.units, { length: 'cm', gauge: 'per 10cm' });
+        assert.equal(result.targetPatternMeasurement, 110);
+        assert.equal(result.bestMatch.name, 'M');
+        assert.deepEqual(result.allSizes.map(size => size.name), ['S', 'M']);
+    });
+    
+    test('pickup adjusts the rate for your gauge', async () => {
+        const { code, stdout } = await knitit(
+            'pickup', '--gauge', '22', '--row-gauge', '30', '--pattern-gauge', '20', '--pattern-row-gauge', '28',
+            '--rate', '3/4', '--rows', '40'
+        );
+        assert.equal(code, 0);
+        assert.match(stdout, /^Pick up 31 stitches over 40 rows$/m);
+        assert.match(stdout, /^Repeat this 1 time$/m);
+        assert.match(stdout, /Pattern says 3 per 4 rows/);
+    });
+    
+    test('combine matches a border to the main fabric', async () => {
+        const { code, stdout } = await knitit('combine', '--main-gauge', '20', '--border-gauge', '22', '--count', '80');
+        assert.equal(code, 0);
+        assert.match(stdout, /^Pick up 88 stitches$/m);
+        assert.match(stdout, /^Ratio: 11 border stitches per 10 main stitches$/m);
+        assert.match(stdout, /^Repeat this 8 times$/m);
+    });
+    
+    test('chart gives the knitted size of a chart file', async () => {
+        const chart = join(dir, 'chart.txt');
+        writeFileSync(chart, '..x..\n.x.x.\nx...x\n');
+        const { code, stdout } = await knitit('chart', '--gauge', '22', '--row-gauge', '30', '--chart', chart);
+        assert.equal(code, 0);
+        assert.match(stdout, /^5 stitches × 3 rows knit to 2\.3cm × 1cm$/m);
+        assert.match(stdout, /27% shorter than it looks on square paper/);
+    });
+    
+    test('usage errors exit non-zero with a message', async () => {
+        const missing = await knitit('size', '--gauge', '22');
+        assert.equal(missing.code, 1);
+        assert.equal(missing.stdout, '');
+        assert.equal(missing.stderr, 'knitit: --pattern-gauge is required\nRun "knitit --help" for usage.\n');
+        
+        const unknown = await knitit('bogus');
+        assert.equal(unknown.code, 1);
+        assert.match(unknown.stderr, /^knitit: Unknown command "bogus"/);
+        
+        const joinEvery = await knitit('combine', '--main-gauge', '20', '--border-row-gauge', '30', '--count', '80', '--join', 'seamed', '--join-every', '2');
+        assert.equal(joinEvery.code, 1);
+        assert.match(joinEvery.stderr, /--join-every only applies with --join sideways/);
+    });
+});
@@ -0,0 +1,543 @@
+import { test, describe, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8')
+    .replace(/<script[^>]*src="script.js"[^>]*><\/script>/, '');
+const dom = new JSDOM(html, { url: 'http://localhost/' });
+const { window } = dom;
+const { document } = window;
+
+/**
+ * script.js runs against browser globals; point them at the headless page
+ * before importing it, then start it the way the browser would.
+ */
+before(async () => {
+    for (const name of ['window', 'document', 'localStorage', 'history', 'location', 'navigator', 'Image', 'confirm', 'prompt']) {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    }
+    if (document.readyState === 'loading') {
+        await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve));
+    }
+    await import('../script.js');
+    document.dispatchEvent(new window.Event('DOMContentLoaded'));
+});
+
+function fill(values) {
+    for (const [id, value] of Object.entries(values)) {
+        const input = document.getElementById(id);
+        input.value = value;
+        input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    }
+}
+
+function clearTab(tab) {
+    document.querySelectorAll(`#tab-${tab} input[type="number"]`).forEach(input => { input.value = ''; });
+}
+
+function result(id) {
+    const section = document.getElementById(id);
+    return {
+        hidden: section.classList.contains('hidden'),
+        warning: section.classList.contains('warning'),
+        text: section.textContent.replace(/\s+/g, ' ').trim()
+    };
+}
+
+function assertWarning(id, message) {
+    const shown = result(id);
+    assert.equal(shown.hidden, false);
+    assert.equal(shown.warning, true);
+    assert.match(shown.text, message);
+}
+
+/** Presses Enter in a field, which validates and recalculates its tab at once. */
+function enter(input) {
+    if (typeof input === 'string') input = document.getElementById(input);
+    input.dispatchEvent(new window.KeyboardEvent('keypress', { key: 'Enter', bubbles: true }));
+}
+
+function fieldError(input) {
+    if (typeof input === 'string') input = document.getElementById(input);
+    const container = input.closest('.field');
+    const error = container ? container.querySelector('.field-error') : input.nextElementSibling;
+    return error && error.classList.contains('field-error') ? error.textContent : null;
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 300));
+
+describe('Size tab errors', () => {
+    beforeEach(() => clearTab('size'));
+    
+    test('marks the missing gauges and body measurement', () => {
+        enter('personal-gauge-h');
+        assert.equal(fieldError('personal-gauge-h'), 'Required.');
+        assert.equal(fieldError('pattern-gauge-h'), 'Required.');
+        assert.equal(fieldError(document.querySelector('.point-body')), 'Enter at least one body measurement.');
+        assert.equal(document.getElementById('personal-gauge-h').classList.contains('invalid'), true);
+        assert.equal(result('result').hidden, true);
+    });
+    
+    test('asks for a size with a measurement', () => {
+        fill({ 'personal-gauge-h': 22, 'pattern-gauge-h': 20 });
+        document.querySelector('.point-body').value = 100;
+        enter('personal-gauge-h');
+        assert.equal(fieldError('personal-gauge-h'), null);
+        assert.equal(fieldError(document.getElementById('size-list')), 'Add at least one size with a name and measurement.');
+    });
+    
+    test('asks for row gauges when sizes have row counts', () => {
+        fill({ 'personal-gauge-h': 22, 'pattern-gauge-h': 20 });
+        document.querySelector('.point-body').value = 100;
+        const row = document.querySelector('.size-row');
+        row.querySelector('.size-measurement').value = 100;
+        row.querySelector('.size-length-rows').value = 80;
+        enter('personal-gauge-h');
+        assert.equal(fieldError('personal-gauge-v'), 'Needed to convert lengths.');
+        assert.equal(fieldError('pattern-gauge-v'), 'Needed to convert lengths.');
+        row.querySelector('.size-length-rows').value = '';
+    });
+    
+    test('rejects gauges that are not positive', () => {
+        fill({ 'personal-gauge-h': -2 });
+        enter('personal-gauge-h');
+        assert.equal(fieldError('personal-gauge-h'), 'Must be more than 0.');
+    });
+    
+    test('recalculates as the fields change and clears the messages', async () => {
+        enter('personal-gauge-h');
+        fill({ 'personal-gauge-h': 22, 'pattern-gauge-h': 20 });
+        document.querySelector('.point-body').value = 100;
+        document.querySelector('.size-row .size-measurement').value = 100;
+        document.querySelector('.point-body').dispatchEvent(new window.Event('input', { bubbles: true }));
+        await settle();
+        const shown = result('result');
+        assert.equal(shown.hidden, false);
+        assert.equal(shown.warning, false);
+        assert.match(shown.text, /Knit size S/);
+        assert.equal(document.querySelectorAll('#tab-size .field-error').length, 0);
+    });
+    
+    test('keeps the last result, dimmed, while a field is incomplete', async () => {
+        fill({ 'personal-gauge-h': 22, 'pattern-gauge-h': 20 });
+        document.querySelector('.point-body').value = 100;
+        document.querySelector('.size-row .size-measurement').value = 100;
+        enter('personal-gauge-h');
+        assert.match(result('result').text, /Knit size S/);
+        
+        fill({ 'pattern-gauge-h': '' });
+        await settle();
+        const section = document.getElementById('result');
+        assert.equal(section.classList.contains('stale'), true);
+        assert.match(result('result').text, /Knit size S/);
+        assert.equal(fieldError('pattern-gauge-h'), 'Required.');
+        
+        fill({ 'pattern-gauge-h': 20 });
+        await settle();
+        assert.equal(section.classList.contains('stale'), false);
+        assert.equal(fieldError('pattern-gauge-h'), null);
+    });
+    
+    test('shows point and size names as text, not markup', () => {
+        const pointName = document.querySelector('.point-name');
+        const sizeName = document.querySelector('.size-row .size-name');
+        const [oldPoint, oldSize] = [pointName.value, sizeName.value];
+        pointName.value = '<b>Chest</b>';
+        pointName.dispatchEvent(new window.Event('input', { bubbles: true }));
+        sizeName.value = '<i>S</i>';
+        fill({ 'personal-gauge-h': 22, 'pattern-gauge-h': 20 });
+        document.querySelector('.point-body').value = 100;
+        document.querySelector('.size-row .size-measurement').value = 100;
+        enter('personal-gauge-h');
+        
+        assert.match(result('result').text, /Knit size <i>S<\/i>/);
+        assert.match(result('result').text, /<b>Chest<\/b>: /);
+        assert.equal(document.querySelectorAll('#result b, #result i, #size-header b').length, 0);
+        
+        pointName.value = oldPoint;
+        pointName.dispatchEvent(new window.Event('input', { bubbles: true }));
+        sizeName.value = oldSize;
+    });
+});
+
+describe('Pick-up tab errors', () => {
+    const gauges = { 'pickup-personal-gauge-h': 22, 'pickup-personal-gauge-v': 30, 'pickup-pattern-gauge-h': 20, 'pickup-pattern-gauge-v': 28 };
+    
+    beforeEach(() => {
+        clearTab('pickup');
+        document.querySelector('#pickup-mode-toggle [data-mode="straight"]').click();
+    });
+    
+    test('only marks fields that have been edited', async () => {
+        fill({ 'pickup-stitches': 3 });
+        await settle();
+        assert.equal(fieldError('pickup-stitches'), null);
+        assert.equal(fieldError('total-rows'), null);
+    });
+    
+    test('asks for all four gauges', () => {
+        fill({ 'pickup-personal-gauge-h': 22 });
+        enter('pickup-personal-gauge-h');
+        assert.equal(fieldError('pickup-personal-gauge-h'), null);
+        for (const id of ['pickup-personal-gauge-v', 'pickup-pattern-gauge-h', 'pickup-pattern-gauge-v']) {
+            assert.equal(fieldError(id), 'Required.');
+        }
+    });
+    
+    test('asks for the pattern pick-up rate', () => {
+        fill(gauges);
+        enter('pickup-stitches');
+        assert.equal(fieldError('pickup-stitches'), 'Required.');
+        assert.equal(document.getElementById('pickup-rows').classList.contains('invalid'), true);
+    });
+    
+    test('asks for the rows along the edge', () => {
+        fill({ ...gauges, 'pickup-stitches': 3, 'pickup-rows': 4 });
+        enter('total-rows');
+        assert.equal(fieldError('pickup-stitches'), null);
+        assert.equal(fieldError('total-rows'), 'Required.');
+    });
+    
+    test('rejects a pick-up that rounds to nothing', () => {
+        fill({ ...gauges, 'pickup-stitches': 1, 'pickup-rows': 20, 'total-rows': 5 });
+        enter('total-rows');
+        assertWarning('pickup-result', /pick-up count is too low/);
+    });
+    
+    test('the checklist remembers its place for the same pick-up', () => {
+        fill({ ...gauges, 'pickup-stitches': 3, 'pickup-rows': 4, 'total-rows': 12 });
+        enter('total-rows');
+        const checklist = () => document.querySelector('.pickup-checklist-container');
+        checklist().querySelector('.pickup-checklist-toggle').click();
+        for (let i = 0; i < 5; i++) checklist().querySelector('[data-action="next"]').click();
+        assert.match(checklist().querySelector('.checklist-progress-text').textContent, /5 of 12 done · 4 of 9 stitches/);
+        assert.match(checklist().querySelector('.checklist-current').textContent, /Repeat 2 of 3 · row 2 of 4/);
+        
+        enter('total-rows');
+        assert.equal(checklist().querySelector('.pickup-checklist').classList.contains('hidden'), false);
+        assert.match(checklist().querySelector('.checklist-progress-text').textContent, /^5 of 12 done/);
+        localStorage.removeItem('knitit-pickup-progress');
+    });
+    
+    test('shaped edges need at least one segment', () => {
+        document.querySelector('#pickup-mode-toggle [data-mode="shaped"]').click();
+        fill({ ...gauges, 'pickup-stitches': 3, 'pickup-rows': 4 });
+        document.querySelectorAll('.edge-segment .btn-remove').forEach(button => button.click());
+        enter('pickup-stitches');
+        assert.equal(fieldError(document.getElementById('edge-segment-list')), 'Add at least one edge segment.');
+    });
+    
+    test('shaped edges mark incomplete segments', () => {
+        document.querySelector('#pickup-mode-toggle [data-mode="shaped"]').click();
+        fill(gauges);
+        document.getElementById('add-edge-segment').click();
+        enter('pickup-personal-gauge-h');
+        const segment = document.querySelector('.edge-segment');
+        assert.equal(fieldError(segment.querySelector('.segment-rows')), 'Required.');
+        assert.equal(segment.querySelector('.segment-stitches').classList.contains('invalid'), false);
+        assert.equal(fieldError('pickup-stitches'), 'Needed for segments without their own rate.');
+    });
+    
+    test('shaped edges draw the repeat the text describes', () => {
+        document.querySelector('#pickup-mode-toggle [data-mode="shaped"]').click();
+        document.querySelectorAll('.edge-segment .btn-remove').forEach(button => button.click());
+        document.getElementById('add-edge-segment').click();
+        const segment = document.querySelector('.edge-segment');
+        segment.querySelector('.segment-type').value = 'rows';
+        segment.querySelector('.segment-rows').value = 40;
+        fill({
+            'pickup-personal-gauge-h': 20, 'pickup-personal-gauge-v': 28,
+            'pickup-pattern-gauge-h': 20, 'pickup-pattern-gauge-v': 28,
+            'pickup-stitches': 3, 'pickup-rows': 4
+        });
+        enter('pickup-stitches');
+        
+        assert.match(result('pickup-result').text, /Repeat this 10 times/);
+        const dots = [...document.querySelectorAll('#pickup-result .dot-visualization .dot-pattern .dot')]
+            .map(dot => (dot.classList.contains('pickup') ? 'p' : '-'))
+            .join('');
+        assert.equal(dots.length, 40);
+        const cycle = dots.slice(0, 4);
+        assert.equal(cycle.replace(/-/g, '').length, 3);
+        assert.equal(dots, cycle.repeat(10));
+    });
+});
+
+describe('Combine tab errors', () => {
+    const joinAlong = value => {
+        document.querySelector(`input[name="join-direction"][value="${value}"]`).checked = true;
+    };
+    
+    const borderIs = value => {
+        document.querySelector(`input[name="join-mode"][value="${value}"]`).click();
+    };
+    
+    beforeEach(() => {
+        clearTab('combine');
+        joinAlong('along-stitches');
+        borderIs('picked-up');
+    });
+    
+    test('asks for the edge count', () => {
+        fill({ 'main-gauge-h': 22, 'border-gauge-h': 24 });
+        enter('main-stitches');
+        assert.equal(fieldError('main-stitches'), 'Required.');
+    });
+    
+    test('asks for both stitch gauges along stitches', () => {
+        fill({ 'main-stitches': 80, 'main-gauge-h': 22 });
+        enter('main-stitches');
+        assert.equal(fieldError('main-gauge-h'), null);
+        assert.equal(fieldError('border-gauge-h'), 'Required.');
+    });
+    
+    test('asks for the main row gauge along rows', () => {
+        joinAlong('along-rows');
+        fill({ 'main-stitches': 80, 'main-gauge-h': 22, 'border-gauge-h': 24 });
+        enter('main-stitches');
+        assert.equal(fieldError('main-gauge-v'), 'Needed to join along rows.');
+        assert.equal(fieldError('border-gauge-h'), null);
+    });
+    
+    test('a sideways border needs the border row gauge', () => {
+        borderIs('sideways');
+        fill({ 'main-stitches': 80, 'main-gauge-h': 22, 'border-gauge-h': 24 });
+        enter('main-stitches');
+        assert.equal(fieldError('border-gauge-v'), 'Needed for a border whose rows run along the edge.');
+        assert.equal(document.getElementById('join-every-field').classList.contains('hidden'), false);
+    });
+    
+    test('a sideways border gives the rows to work and the join rate', () => {
+        borderIs('sideways');
+        fill({ 'main-stitches': 80, 'main-gauge-h': 20, 'border-gauge-v': 30, 'join-every': 2 });
+        enter('main-stitches');
+        const shown = result('combine-result');
+        assert.equal(shown.warning, false);
+        assert.match(shown.text, /Work 120 border rows/);
+        assert.match(shown.text, /Join 4 main stitches over every 6 border rows \(3 joins\)/);
+    });
+    
+    test('spreads extra border stitches along the edge', () => {
+        fill({ 'main-stitches': 20, 'main-gauge-h': 20, 'border-gauge-h': 30 });
+        document.querySelector('input[name="extra-stitches"][value="increase"]').click();
+        enter('main-stitches');
+        const shown = result('combine-result');
+        assert.match(shown.text, /Pick up 30 stitches/);
+        assert.match(shown.text, /pick up 1 → pick up 1, M1/);
+        assert.match(shown.text, /Repeat this 10 times/);
+        assert.equal(document.querySelectorAll('#combine-result .dot-pattern .dot.multi').length, 1);
+        document.querySelector('input[name="extra-stitches"][value="double"]').click();
+    });
+});
+
+describe('Swatch previews', () => {
+    const purlStitches = preview => [...preview.querySelectorAll('path')]
+        .filter(path => path.getAttribute('d').match(/Q/g).length === 1).length;
+    
+    const choosePattern = (id, pattern) => {
+        const select = document.getElementById(id);
+        select.value = pattern;
+        select.dispatchEvent(new window.Event('change', { bubbles: true }));
+    };
+    
+    test('draw the chosen stitch pattern', () => {
+        fill({ 'main-gauge-h': 20, 'main-gauge-v': 28, 'border-gauge-h': 24, 'border-gauge-v': 30 });
+        const preview = document.getElementById('main-swatch-preview');
+        assert.equal(purlStitches(preview), 0);
+        
+        choosePattern('main-gauge-stitch-pattern', 'garter');
+        const stitches = preview.querySelectorAll('path').length;
+        assert.ok(purlStitches(preview) > 0 && purlStitches(preview) < stitches);
+        
+        choosePattern('main-gauge-stitch-pattern', 'reverse');
+        assert.equal(purlStitches(preview), stitches);
+    });
+    
+    test('keep the pattern of each layer in overlay mode', () => {
+        document.querySelector('#swatch-view-toggle [data-view="overlay"]').click();
+        choosePattern('main-gauge-stitch-pattern', 'reverse');
+        choosePattern('border-gauge-stitch-pattern', 'colorwork');
+        const overlay = document.getElementById('swatch-overlay-container');
+        assert.equal(overlay.querySelectorAll('svg').length, 2);
+        assert.ok(overlay.querySelector('path[stroke="#D4A574"]'));
+        assert.ok(purlStitches(overlay) > 0);
+        assert.match(overlay.textContent, /reverse stockinette/);
+        assert.match(overlay.textContent, /two-colour chart/);
+        document.querySelector('#swatch-view-toggle [data-view="side-by-side"]').click();
+        choosePattern('main-gauge-stitch-pattern', 'stockinette');
+        choosePattern('border-gauge-stitch-pattern', 'stockinette');
+    });
+    
+    test('draw stockinette when no known pattern is chosen', () => {
+        document.querySelector('#swatch-view-toggle [data-view="overlay"]').click();
+        fill({ 'main-gauge-h': '' });
+        choosePattern('main-gauge-stitch-pattern', 'bogus');
+        fill({ 'main-gauge-h': 20 });
+        const overlay = document.getElementById('swatch-overlay-container');
+        assert.equal(overlay.querySelectorAll('svg').length, 2);
+        assert.equal(purlStitches(overlay), 0);
+        document.querySelector('#swatch-view-toggle [data-view="side-by-side"]').click();
+        choosePattern('main-gauge-stitch-pattern', 'stockinette');
+    });
+});
+
+describe('Colourwork chart', () => {
+    beforeEach(() => {
+        clearTab('chart');
+        document.getElementById('chart-text').value = '';
+    });
+    
+    test('asks for a chart', () => {
+        fill({ 'chart-gauge-h': 22, 'chart-gauge-v': 30 });
+        enter('chart-gauge-h');
+        assert.equal(fieldError('chart-text'), 'Draw, paste or import a chart.');
+    });
+    
+    test('shows the chart at the true stitch proportions', () => {
+        fill({ 'chart-gauge-h': 22, 'chart-gauge-v': 30, 'chart-text': '..x..\n.x.x.\nx...x' });
+        enter('chart-gauge-h');
+        const shown = result('chart-result');
+        assert.match(shown.text, /5 stitches × 3 rows knit to 2\.3cm × 1cm/);
+        assert.match(shown.text, /27% shorter than it looks on square paper/);
+        
+        const [square, knitted] = document.querySelectorAll('#chart-result .chart-drawing svg');
+        assert.equal(square.getAttribute('width'), knitted.getAttribute('width'));
+        assert.ok(parseFloat(knitted.getAttribute('height')) < parseFloat(square.getAttribute('height')));
+    });
+    
+    test('clicking a stitch changes its colour in the chart text', () => {
+        fill({ 'chart-gauge-h': 20, 'chart-gauge-v': 20, 'chart-text': '...\n...' });
+        enter('chart-gauge-h');
+        document.querySelector('#chart-result .chart-drawing [data-cell="1,2"]').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+        assert.equal(document.getElementById('chart-text').value, '...\n..x');
+    });
+    
+    test('starts a blank chart of at least one stitch', () => {
+        fill({ 'chart-new-stitches': -3, 'chart-new-rows': 2 });
+        document.getElementById('chart-new').click();
+        assert.equal(document.getElementById('chart-text').value, '.\n.');
+        
+        fill({ 'chart-new-stitches': 3, 'chart-new-rows': 0 });
+        document.getElementById('chart-new').click();
+        assert.equal(document.getElementById('chart-text').value.split('\n').length, 20);
+    });
+    
+    test('resizes the chart to a finished width at the gauge', () => {
+        fill({ 'chart-gauge-h': 22, 'chart-gauge-v': 30, 'chart-text': 'x.\n.x', 'chart-target-width': 10 });
+        enter('chart-gauge-h');
+        assert.match(result('chart-result').text, /Resized to 10cm × 10cm: 22 stitches × 30 rows/);
+        
+        document.querySelector('#chart-result .chart-use').click();
+        const rows = document.getElementById('chart-text').value.split('\n');
+        assert.equal(rows.length, 30);
+        assert.equal(rows[0].length, 22);
+    });
+});
+
+describe('Shared links', () => {
+    const openLink = (tab, state) => {
+        history.pushState(null, '', `#${tab}?${encodeURIComponent(JSON.stringify(state))}`);
+        window.dispatchEvent(new window.PopStateEvent('popstate'));
+    };
+    
+    test('restore names as text and drop values that are not numbers', () => {
+        const attack = '"><img src=x onerror="window.hacked=1">';
+        openLink('size', {
+            units: { length: 'cm', gauge: '10cm' },
+            fields: { 'personal-gauge-h': '22', 'pattern-gauge-h': `20${attack}` },
+            radios: {},
+            measurementPoints: [{ id: 'p', name: `<img src=x onerror="window.hacked=1">`, axis: 'width', priority: 'normal', body: `100${attack}`, ease: '', tolerance: '' }],
+            sizes: [{ name: `<img src=x onerror="window.hacked=1">`, measurements: { p: '100' }, lengthRows: attack, castOn: '', yardage: '' }]
+        });
+        
+        assert.equal(document.querySelectorAll('img').length, 0);
+        assert.equal(document.getElementById('pattern-gauge-h').value, '');
+        assert.equal(document.querySelector('.point-body').value, '');
+        assert.equal(document.querySelector('.size-row .size-name').value, '<img src=x onerror="window.hacked=1">');
+        assert.match(document.getElementById('size-header').textContent, /<img src=x/);
+        history.pushState(null, '', '#size');
+    });
+    
+    test('skip entries that are not objects and options a list does not have', () => {
+        openLink('size', {
+            units: { length: 'cm', gauge: '10cm' },
+            fields: { 'personal-gauge-h': '22' },
+            radios: {},
+            measurementPoints: [null, { id: 'p', name: 'Chest', axis: 'width', priority: 'normal', body: '100' }],
+            sizes: [null, 'S']
+        });
+        assert.equal(document.querySelectorAll('.measurement-point').length, 1);
+        assert.equal(document.querySelector('.point-name').value, 'Chest');
+        assert.equal(document.querySelectorAll('.size-row').length, 0);
+        
+        openLink('pickup', { units: { length: 'cm', gauge: '10cm' }, fields: {}, radios: {}, edgeSegments: [null, 3] });
+        assert.equal(document.querySelectorAll('.edge-segment').length, 0);
+        
+        openLink('combine', {
+            units: { length: 'cm', gauge: '10cm' },
+            fields: { 'main-gauge-h': '22', 'main-gauge-stitch-pattern': 'bogus' },
+            radios: {}
+        });
+        assert.equal(document.getElementById('main-gauge-stitch-pattern').value, 'stockinette');
+        assert.equal(document.getElementById('main-gauge-h').value, '22');
+        
+        openLink('size', { units: { length: 'cm', gauge: '10cm' }, fields: null, radios: {} });
+        assert.equal(document.getElementById('tab-radio-size').checked, true);
+        history.pushState(null, '', '#size');
+    });
+});
+
+describe('Size import', () => {
+    test('shows imported size names as text', () => {
+        const name = '<img src=x onerror="window.hacked=1">';
+        clearTab('size');
+        document.getElementById('size-import-text').value = `Size, Chest\n"${name.replace(/"/g, '""')}", 100\n<M>, 110`;
+        document.getElementById('import-sizes').click();
+        fill({ 'personal-gauge-h': 22, 'pattern-gauge-h': 22 });
+        document.querySelectorAll('.measurement-point').forEach(point => {
+            point.querySelector('.point-body').value = point.querySelector('.point-name').value === 'Chest' ? 100 : '';
+        });
+        enter('personal-gauge-h');
+        
+        assert.equal(document.querySelector('.size-row .size-name').value, name);
+        assert.equal(document.querySelectorAll('img').length, 0);
+        const shown = result('result');
+        assert.match(shown.text, /Knit size <img src=x onerror="window.hacked=1">/);
+        assert.match(shown.text, /<M>/);
+    });
+});
+
+describe('Units', () => {
+    const switchTo = system => {
+        const select = document.getElementById('unit-system');
+        select.value = system;
+        select.dispatchEvent(new window.Event('change', { bubbles: true }));
+    };
+    
+    test('switching back and forth keeps the values entered', () => {
+        const body = document.querySelector('.point-body');
+        fill({ 'personal-gauge-h': 22 });
+        body.value = 90;
+        
+        switchTo('imperial');
+        assert.equal(body.value, '35.4');
+        switchTo('metric');
+        assert.equal(body.value, '90');
+        assert.equal(document.getElementById('personal-gauge-h').value, '22');
+        
+        fill({ 'chart-gauge-h': 22, 'chart-gauge-v': 30 });
+        const chartSwatch = document.getElementById('chart-swatch');
+        assert.match(chartSwatch.textContent, /22 st × 30 rows \/ 10cm/);
+        switchTo('imperial');
+        assert.equal(document.getElementById('chart-gauge-h').value, '22.4');
+        assert.match(chartSwatch.textContent, /22\.4 st × 30\.5 rows \/ 4in/);
+        switchTo('metric');
+        assert.match(chartSwatch.textContent, /22 st × 30 rows \/ 10cm/);
+        
+        switchTo('imperial');
+        body.value = 40;
+        switchTo('metric');
+        assert.equal(body.value, '101.6');
+    });
+});
@@ -0,0 +1,423 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fc from 'fast-check';
+import {
+    gcd, simplifyRatio, toCentimeters, fromCentimeters, toGaugePer10cm, fromGaugePer10cm,
+    roundToMultiple, calculateRowAdjustment, analyzeAllSizes, generateEvenDistribution,
+    generateSymmetricDistribution, describeDistribution, calculateDistribution,
+    findMinimalRepeat, constrainPickupCount, calculateEdgePickup, calculateGaugeCombination,
+    expandPickupChecklist, calculateFabricAreaFactor, estimateYarnQuantity, estimateYarnForSizes,
+    parseChart, calculateChartResize, resampleChart, chartFromPixels, chartToText,
+    parsePatternInstructions, convertPatternInstructions
+} from '../knitit.js';
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Largest difference in stitches picked up between any two runs of the same
+ * number of consecutive rows. 1 means the stitches are spread as evenly as
+ * whole stitches allow.
+ */
+function windowImbalance(distribution) {
+    let worst = 0;
+    for (let width = 1; width < distribution.length; width++) {
+        let windowSum = sum(distribution.slice(0, width));
+        let min = windowSum;
+        let max = windowSum;
+        for (let i = width; i < distribution.length; i++) {
+            windowSum += distribution[i] - distribution[i - width];
+            min = Math.min(min, windowSum);
+            max = Math.max(max, windowSum);
+        }
+        worst = Math.max(worst, max - min);
+    }
+    return worst;
+}
+
+const rowsArb = fc.integer({ min: 1, max: 120 });
+const pickupArb = rowsArb.chain(rows => fc.tuple(fc.integer({ min: 0, max: rows * 2 }), fc.constant(rows)));
+const underRowsArb = fc.integer({ min: 2, max: 120 }).chain(rows => fc.tuple(fc.integer({ min: 1, max: rows - 1 }), fc.constant(rows)));
+const gaugeArb = fc.double({ min: 5, max: 50, noNaN: true });
+
+describe('distributions', () => {
+    for (const [name, distribute] of [['generateEvenDistribution', generateEvenDistribution], ['generateSymmetricDistribution', generateSymmetricDistribution]]) {
+        test(`${name} sums to the total, one entry per row`, () => {
+            fc.assert(fc.property(pickupArb, ([stitches, rows]) => {
+                const distribution = distribute(stitches, rows);
+                assert.equal(distribution.length, rows);
+                assert.equal(sum(distribution), stitches);
+            }));
+        });
+        
+        test(`${name} never picks up more than one stitch per row when there are enough rows`, () => {
+            fc.assert(fc.property(pickupArb.filter(([stitches, rows]) => stitches <= rows), ([stitches, rows]) => {
+                assert.ok(distribute(stitches, rows).every(count => count === 0 || count === 1));
+            }));
+        });
+        
+        test(`${name} spreads stitches as evenly as possible`, () => {
+            fc.assert(fc.property(pickupArb, ([stitches, rows]) => {
+                const distribution = distribute(stitches, rows);
+                const perRow = stitches / rows;
+                assert.ok(distribution.every(count => count === Math.floor(perRow) || count === Math.ceil(perRow)));
+                assert.ok(windowImbalance(distribution) <= 1);
+            }));
+        });
+    }
+    
+    test('describeDistribution runs cover every row and stitch', () => {
+        fc.assert(fc.property(pickupArb, ([stitches, rows]) => {
+            const { runs } = describeDistribution(stitches, rows);
+            assert.equal(sum(runs.map(run => run.rows)), rows);
+            assert.equal(sum(runs.map(run => run.rows * run.stitchesPerRow)), stitches);
+        }));
+    });
+});
+
+describe('findMinimalRepeat', () => {
+    test('repeats tile the edge exactly', () => {
+        fc.assert(fc.property(pickupArb.filter(([stitches]) => stitches > 0), ([stitches, rows]) => {
+            const repeat = findMinimalRepeat(stitches, rows);
+            assert.equal(repeat.repeats, gcd(stitches, rows));
+            assert.equal(repeat.cycleRows * repeat.repeats, rows);
+            assert.equal(repeat.pattern.length, repeat.cycleRows);
+            assert.equal(sum(repeat.pattern) * repeat.repeats, stitches);
+            assert.equal(gcd(repeat.cycleStitches, repeat.cycleRows), 1);
+        }));
+    });
+    
+    test('the whole edge stays even across repeat boundaries', () => {
+        fc.assert(fc.property(pickupArb.filter(([stitches]) => stitches > 0), ([stitches, rows]) => {
+            const repeat = findMinimalRepeat(stitches, rows);
+            const edge = Array.from({ length: repeat.repeats }, () => repeat.pattern).flat();
+            assert.ok(windowImbalance(edge) <= 1);
+        }));
+    });
+    
+    test('describes a simple repeat in words', () => {
+        assert.equal(findMinimalRepeat(3, 4).description, 'pick up 1 → skip 1 → pick up 1 × 2 rows');
+        assert.equal(findMinimalRepeat(20, 20).description, 'Pick up 1 from each of 1 row');
+        assert.equal(findMinimalRepeat(6, 3).description, 'Pick up 2 from each of 1 row');
+    });
+});
+
+describe('expandPickupChecklist', () => {
+    test('steps through every place with a running count', () => {
+        fc.assert(fc.property(fc.array(pickupArb, { minLength: 1, maxLength: 4 }), edges => {
+            const segments = edges.map(([stitches, rows]) => ({ distribution: generateSymmetricDistribution(stitches, rows) }));
+            const steps = expandPickupChecklist(segments);
+            assert.equal(steps.length, sum(edges.map(([, rows]) => rows)));
+            assert.equal(steps[steps.length - 1].pickedUp, sum(edges.map(([stitches]) => stitches)));
+            steps.forEach((step, i) => assert.equal(step.pickedUp, (i > 0 ? steps[i - 1].pickedUp : 0) + step.count));
+            assert.equal(steps.filter(step => step.segmentStart).length, segments.length);
+        }));
+    });
+    
+    test('marks the start of each repeat', () => {
+        const repeat = findMinimalRepeat(3, 4);
+        const steps = expandPickupChecklist([{ distribution: [...repeat.pattern, ...repeat.pattern, ...repeat.pattern], repeatLength: 4 }]);
+        assert.deepEqual(steps.filter(step => step.repeatStart).map(step => step.position), [0, 4, 8]);
+        assert.deepEqual(steps.map(step => step.repeat), [0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2]);
+    });
+});
+
+describe('calculateDistribution', () => {
+    test('repeats the same cycle as findMinimalRepeat', () => {
+        fc.assert(fc.property(pickupArb, ([stitches, rows]) => {
+            const distribution = calculateDistribution(stitches, rows);
+            const repeat = findMinimalRepeat(stitches, rows);
+            assert.equal(distribution.cycles, repeat.repeats);
+            assert.equal(distribution.cycleLength, repeat.cycleRows);
+            assert.equal(distribution.pickupsPerCycle, repeat.cycleStitches);
+        }));
+    });
+    
+    test('runs cover the cycle and spread the whole edge evenly', () => {
+        fc.assert(fc.property(pickupArb, ([stitches, rows]) => {
+            const distribution = calculateDistribution(stitches, rows);
+            const cycle = distribution.pattern.flatMap(run => Array(run.count).fill(run.stitches));
+            assert.equal(cycle.length, distribution.cycleLength);
+            assert.equal(sum(cycle), distribution.pickupsPerCycle);
+            
+            const edge = Array.from({ length: distribution.cycles }, () => cycle).flat();
+            assert.equal(sum(edge), stitches);
+            assert.ok(windowImbalance(edge) <= 1);
+        }));
+    });
+    
+    test('alternates pick-up and skip runs', () => {
+        fc.assert(fc.property(underRowsArb, ([stitches, rows]) => {
+            const { pattern, pickupsPerCycle, skipsPerCycle } = calculateDistribution(stitches, rows);
+            pattern.slice(1).forEach((run, i) => assert.notEqual(run.type, pattern[i].type));
+            assert.equal(sum(pattern.filter(run => run.type === 'pickup').map(run => run.count)), pickupsPerCycle);
+            assert.equal(sum(pattern.filter(run => run.type === 'skip').map(run => run.count)), skipsPerCycle);
+        }));
+    });
+    
+    test('puts the extra stitches on separate rows when there are more stitches than rows', () => {
+        fc.assert(fc.property(fc.integer({ min: 1, max: 120 }), fc.integer({ min: 0, max: 240 }), (rows, extra) => {
+            const { pattern, pickupsPerCycle, skipsPerCycle } = calculateDistribution(rows + extra, rows);
+            assert.equal(skipsPerCycle, 0);
+            assert.equal(sum(pattern.map(run => run.count * run.stitches)), pickupsPerCycle);
+            pattern.forEach(run => assert.equal(run.type, run.stitches === 1 ? 'pickup' : 'multiple'));
+            pattern.slice(1).forEach((run, i) => assert.notEqual(run.stitches, pattern[i].stitches));
+        }));
+    });
+});
+
+describe('ratios and rounding', () => {
+    test('simplifyRatio round-trips to the same ratio in lowest terms', () => {
+        fc.assert(fc.property(fc.integer({ min: 1, max: 500 }), fc.integer({ min: 1, max: 500 }), fc.integer({ min: 1, max: 20 }), (a, b, k) => {
+            const simplified = simplifyRatio(a, b);
+            assert.equal(gcd(simplified.a, simplified.b), 1);
+            assert.equal(simplified.a * b, simplified.b * a);
+            assert.deepEqual(simplifyRatio(a * k, b * k), simplified);
+            assert.deepEqual(simplifyRatio(simplified.a, simplified.b), simplified);
+        }));
+    });
+    
+    test('roundToMultiple lands on multiple * n + offset, as near as possible', () => {
+        fc.assert(fc.property(fc.double({ min: 1, max: 500, noNaN: true }), fc.integer({ min: 2, max: 12 }), fc.integer({ min: 0, max: 11 }), (value, multiple, offsetSeed) => {
+            const offset = offsetSeed % multiple;
+            const rounded = roundToMultiple(value, multiple, offset);
+            assert.ok(rounded > 0);
+            assert.equal((rounded - offset) % multiple, 0);
+            if (value - multiple / 2 > 0) assert.ok(Math.abs(rounded - value) <= multiple / 2);
+        }));
+    });
+    
+    test('constrainPickupCount reports the length change of the rounding', () => {
+        fc.assert(fc.property(fc.double({ min: 1, max: 400, noNaN: true }), gaugeArb, fc.integer({ min: 1, max: 8 }), (raw, gauge, multiple) => {
+            const constrained = constrainPickupCount(raw, gauge, multiple);
+            assert.equal(constrained.count, roundToMultiple(raw, multiple));
+            assert.ok(Math.abs(constrained.lengthChange - (constrained.count - raw) * 10 / gauge) < 1e-9);
+        }));
+    });
+    
+    test('unit conversions round-trip', () => {
+        fc.assert(fc.property(fc.double({ min: 0.1, max: 1000, noNaN: true }), value => {
+            for (const unit of ['cm', 'in']) {
+                assert.ok(Math.abs(fromCentimeters(toCentimeters(value, unit), unit) - value) < 1e-9);
+            }
+            for (const basis of ['10cm', '4in', '1in']) {
+                assert.ok(Math.abs(fromGaugePer10cm(toGaugePer10cm(value, basis), basis) - value) < 1e-9);
+            }
+        }));
+    });
+});
+
+describe('size analysis', () => {
+    const sizesArb = fc.uniqueArray(fc.integer({ min: 60, max: 160 }), { minLength: 1, maxLength: 8 })
+        .map(measurements => measurements.sort((a, b) => a - b).map((measurement, i) => ({ name: `Size ${i + 1}`, measurement })));
+    
+    test('a tighter gauge knits every size smaller', () => {
+        fc.assert(fc.property(sizesArb, gaugeArb, gaugeArb, gaugeArb, (sizes, patternGauge, gaugeA, gaugeB) => {
+            const [looser, tighter] = gaugeA <= gaugeB ? [gaugeA, gaugeB] : [gaugeB, gaugeA];
+            const loose = analyzeAllSizes(looser, patternGauge, 100, sizes);
+            const tight = analyzeAllSizes(tighter, patternGauge, 100, sizes);
+            loose.allSizes.forEach((size, i) => {
+                assert.ok(tight.allSizes[i].actualMeasurement <= size.actualMeasurement);
+            });
+            assert.ok(tight.targetPatternMeasurement >= loose.targetPatternMeasurement);
+        }));
+    });
+    
+    test('a tighter gauge never recommends a smaller pattern size', () => {
+        fc.assert(fc.property(sizesArb, gaugeArb, gaugeArb, gaugeArb, fc.integer({ min: 60, max: 160 }), (sizes, patternGauge, gaugeA, gaugeB, target) => {
+            const [looser, tighter] = gaugeA <= gaugeB ? [gaugeA, gaugeB] : [gaugeB, gaugeA];
+            const loose = analyzeAllSizes(looser, patternGauge, target, sizes);
+            const tight = analyzeAllSizes(tighter, patternGauge, target, sizes);
+            assert.ok(tight.bestMatch.patternMeasurement >= loose.bestMatch.patternMeasurement);
+        }));
+    });
+    
+    test('a matching gauge recommends the size nearest the target', () => {
+        const sizes = [{ name: 'S', measurement: 90 }, { name: 'M', measurement: 100 }, { name: 'L', measurement: 110 }];
+        assert.equal(analyzeAllSizes(20, 20, 98, sizes).bestMatch.name, 'M');
+        assert.equal(analyzeAllSizes(22, 20, 100, sizes).bestMatch.name, 'L');
+        assert.ok(analyzeAllSizes(20, 20, 100, []).error);
+        assert.ok(analyzeAllSizes(null, 20, 100, sizes).error);
+    });
+    
+    test('more rows per 10cm means more rows for the same length', () => {
+        fc.assert(fc.property(gaugeArb, gaugeArb, gaugeArb, fc.integer({ min: 1, max: 300 }), (patternGauge, gaugeA, gaugeB, rows) => {
+            const [fewer, more] = gaugeA <= gaugeB ? [gaugeA, gaugeB] : [gaugeB, gaugeA];
+            assert.ok(calculateRowAdjustment(more, patternGauge, rows).rowsNeeded >= calculateRowAdjustment(fewer, patternGauge, rows).rowsNeeded);
+        }));
+    });
+});
+
+describe('pick-ups and joins', () => {
+    const segmentArb = fc.oneof(
+        fc.record({ type: fc.constant('bound-off'), stitches: fc.integer({ min: 1, max: 40 }) }),
+        fc.record({ type: fc.constant('rows'), rows: fc.integer({ min: 1, max: 80 }) }),
+        fc.record({ type: fc.constant('diagonal'), stitches: fc.integer({ min: 1, max: 20 }), rows: fc.integer({ min: 1, max: 40 }) })
+    ).map(segment => ({ ...segment, pickupStitches: 3, pickupRows: 4 }));
+    
+    test('edge segment counts add up to the rounded total', () => {
+        fc.assert(fc.property(fc.array(segmentArb, { minLength: 1, maxLength: 5 }), gaugeArb, gaugeArb, fc.integer({ min: 1, max: 6 }), (segments, gaugeH, gaugeV, multiple) => {
+            const result = calculateEdgePickup(segments, gaugeH, gaugeV, 20, 28, multiple, 0);
+            assert.equal(sum(result.segments.map(segment => segment.count)), result.total);
+            if (multiple > 1) assert.equal(result.total % multiple, 0);
+        }));
+    });
+    
+    test('a diagonal is picked up along its length', () => {
+        const diagonal = { type: 'diagonal', stitches: 30, rows: 80, pickupStitches: 3, pickupRows: 4 };
+        assert.equal(calculateEdgePickup([diagonal], 20, 40, 20, 40).segments[0].raw, 75);
+        fc.assert(fc.property(segmentArb.filter(segment => segment.type === 'diagonal'), gaugeArb, gaugeArb, (segment, gaugeH, gaugeV) => {
+            const slope = calculateEdgePickup([segment], gaugeH, gaugeV, 20, 28).segments[0].raw;
+            const rows = calculateEdgePickup([{ ...segment, type: 'rows' }], gaugeH, gaugeV, 20, 28).segments[0].raw;
+            assert.ok(slope >= rows - 1e-9);
+        }));
+    });
+    
+    test('a border keeps the main fabric measurement', () => {
+        fc.assert(fc.property(gaugeArb, gaugeArb, gaugeArb, fc.integer({ min: 1, max: 400 }), (mainGaugeH, mainGaugeV, borderGaugeH, mainCount) => {
+            const alongStitches = calculateGaugeCombination(mainGaugeH, mainGaugeV, borderGaugeH, null, mainCount, 'along-stitches');
+            assert.ok(Math.abs(alongStitches.borderStitches - mainCount * borderGaugeH / mainGaugeH) <= 0.5);
+            
+            const alongRows = calculateGaugeCombination(mainGaugeH, mainGaugeV, borderGaugeH, null, mainCount, 'along-rows');
+            assert.ok(Math.abs(alongRows.borderStitches - mainCount * borderGaugeH / mainGaugeV) <= 0.5);
+        }));
+    });
+    
+    test('a sideways border covers the edge in whole joins', () => {
+        fc.assert(fc.property(gaugeArb, gaugeArb, fc.integer({ min: 1, max: 400 }), fc.integer({ min: 1, max: 4 }), (mainGaugeH, borderGaugeV, mainCount, joinEvery) => {
+            const result = calculateGaugeCombination(mainGaugeH, null, null, borderGaugeV, mainCount, 'along-stitches', 'sideways', joinEvery);
+            assert.equal(result.borderRows, result.joins * joinEvery);
+            assert.ok(result.joins >= 1);
+            const exactRows = mainCount / mainGaugeH * borderGaugeV;
+            if (exactRows >= joinEvery) assert.ok(Math.abs(result.borderRows - exactRows) <= joinEvery / 2);
+            assert.equal(result.joins / result.simplified.a, mainCount / result.simplified.b);
+        }));
+    });
+});
+
+describe('pattern conversion', () => {
+    const ratioArb = fc.double({ min: 0.5, max: 2, noNaN: true });
+    const convert = (text, stitchRatio, rowRatio, multiple = 1) =>
+        convertPatternInstructions(parsePatternInstructions(text), stitchRatio, rowRatio, multiple)[0].converted;
+    
+    test('a pick-up rate scales by the stitch and row ratios, not the cast-on multiple', () => {
+        assert.equal(convert('Pick up and knit 3 sts for every 4 rows', 1, 1, 4), 'Pick up and knit 3 sts for every 4 rows');
+        assert.equal(convert('Pick up and knit 3 sts for every 4 rows', 22 / 20, 30 / 28, 4), 'Pick up and knit 3 sts for every 4 rows');
+        assert.equal(convert('Pick up and knit 3 sts for every 4 rows', 0.8, 1.2), 'Pick up and knit 2 sts for every 4 rows');
+        assert.equal(convert('Pick up and knit 3 sts for every 4 rows', 0.9, 1), 'Pick up and knit 2 sts for every 3 rows');
+        assert.equal(convert('CO 96 sts', 1.1, 1, 4), 'CO 104 sts');
+    });
+    
+    test('a converted interval keeps a matching ordinal', () => {
+        assert.equal(convert('Dec every 4th row', 1, 0.75), 'Dec every 3rd row');
+        assert.equal(convert('Inc every 2nd row 10 times', 1, 1.5), 'Inc every 3rd row 10 times');
+        assert.equal(convert('Work every 10th row', 1, 2.1), 'Work every 21st row');
+        assert.equal(convert('Work every 6th rnd', 1, 2), 'Work every 12th rnd');
+    });
+    
+    test('uneven shaping is written out step by step', () => {
+        const [line] = convertPatternInstructions(parsePatternInstructions('Dec each end every 4th row 6 times. Work 2 rows.'), 1, 20 / 24);
+        assert.equal(line.shaping.rows, 20);
+        assert.equal(line.converted, `Dec each end ${line.shaping.description}. Work 2 rows.`);
+        assert.equal(line.shaping.description, 'every 4th row 2 times, then every 3rd row 4 times');
+    });
+    
+    test('a converted rate is never further out than rounding its stitches', () => {
+        fc.assert(fc.property(fc.integer({ min: 1, max: 8 }), fc.integer({ min: 1, max: 8 }), ratioArb, ratioArb, (stitches, rows, stitchRatio, rowRatio) => {
+            const [line] = convertPatternInstructions(parsePatternInstructions(`Pick up ${stitches} sts per ${rows} rows`), stitchRatio, rowRatio, 4);
+            const [newStitches, newRows] = line.tokens.map(token => token.converted);
+            const exact = stitches * stitchRatio / rowRatio / rows;
+            const rounded = Math.max(1, Math.round(exact * rows)) / rows;
+            assert.ok(newStitches >= 1 && newRows >= 1);
+            assert.ok(Math.abs(newStitches / newRows - exact) <= Math.abs(rounded - exact) + 1e-9);
+        }));
+    });
+});
+
+describe('yarn estimates', () => {
+    const yardageArb = fc.integer({ min: 50, max: 3000 });
+    const yarnArb = fc.record({ metersPerSkein: fc.integer({ min: 20, max: 800 }), gramsPerSkein: fc.integer({ min: 10, max: 200 }) });
+    const marginArb = fc.double({ min: 0, max: 0.5, noNaN: true });
+    
+    test('the skeins cover the yarn needed with the margin, with less than a skein to spare', () => {
+        fc.assert(fc.property(yardageArb, gaugeArb, gaugeArb, yarnArb, marginArb, (yardage, personalGauge, patternGauge, yarn, margin) => {
+            const areaFactor = calculateFabricAreaFactor(personalGauge, patternGauge).factor;
+            const estimate = estimateYarnQuantity(yardage, areaFactor, yarn, margin);
+            const needed = yardage * areaFactor * (1 + margin);
+            assert.ok(estimate.skeins * yarn.metersPerSkein >= needed - 0.5);
+            assert.ok((estimate.skeins - 1) * yarn.metersPerSkein < needed + 0.5);
+        }));
+    });
+    
+    test('a looser gauge never needs less yarn for the same size', () => {
+        fc.assert(fc.property(yardageArb, gaugeArb, gaugeArb, gaugeArb, (yardage, a, b, patternGauge) => {
+            const [looser, tighter] = a < b ? [a, b] : [b, a];
+            const more = estimateYarnQuantity(yardage, calculateFabricAreaFactor(looser, patternGauge, looser, patternGauge).factor);
+            const less = estimateYarnQuantity(yardage, calculateFabricAreaFactor(tighter, patternGauge, tighter, patternGauge).factor);
+            assert.ok(more.meters >= less.meters);
+        }));
+    });
+    
+    test('the recommended estimate is for the best-matching size', () => {
+        const sizes = [{ name: 'S', measurement: 90 }, { name: 'M', measurement: 100 }, { name: 'L', measurement: 110 }];
+        const analysis = analyzeAllSizes(20, 22, 100, sizes);
+        const yarn = estimateYarnForSizes(analysis, { S: 900, M: 1000 }, calculateFabricAreaFactor(20, 22, 28, 30), { metersPerSkein: 200 }, 0.1);
+        assert.equal(analysis.bestMatch.name, 'S');
+        assert.equal(yarn.recommended.name, 'S');
+        assert.equal(yarn.sizes.length, 2);
+        assert.equal(yarn.recommended.meters, Math.round(900 * (22 / 20) * (30 / 28)));
+        assert.equal(estimateYarnForSizes(analysis, {}, calculateFabricAreaFactor(20, 22)).error, 'No pattern yardage entered');
+    });
+});
+
+describe('colourwork charts', () => {
+    const chartArb = fc.array(fc.array(fc.constantFrom('.', 'x', 'o'), { minLength: 1, maxLength: 12 }), { minLength: 1, maxLength: 12 })
+        .map(rows => parseChart(rows.map(row => row.join('')).join('\n')));
+    const sizeArb = fc.integer({ min: 1, max: 60 });
+    
+    test('a chart written out as text or CSV reads back the same', () => {
+        fc.assert(fc.property(chartArb, chart => {
+            assert.deepEqual(parseChart(chartToText(chart)).cells, chart.cells);
+            assert.deepEqual(parseChart(chartToText(chart, 'csv')).cells, chart.cells);
+        }));
+    });
+    
+    test('resampling to the same size leaves a chart unchanged', () => {
+        fc.assert(fc.property(chartArb, chart => {
+            assert.deepEqual(resampleChart(chart, chart.stitches, chart.rows).cells, chart.cells);
+        }));
+    });
+    
+    test('a resized chart knits to within half a stitch and half a row of the target', () => {
+        fc.assert(fc.property(sizeArb, sizeArb, gaugeArb, gaugeArb, sizeArb, sizeArb, (stitches, rows, gaugeH, gaugeV, width, height) => {
+            const resized = calculateChartResize(stitches, rows, gaugeH, gaugeV, width, height);
+            if (resized.error) return;
+            assert.ok(Math.abs(resized.width - width) <= 5 / gaugeH || resized.stitches === 1);
+            assert.ok(Math.abs(resized.height - height) <= 5 / gaugeV || resized.rows === 1);
+            
+            const chart = resampleChart(parseChart('x.\n.x'), resized.stitches, resized.rows);
+            assert.equal(chart.stitches, resized.stitches);
+            assert.equal(chart.rows, resized.rows);
+        }));
+    });
+    
+    test('a given width keeps the proportions of the chart as drawn', () => {
+        const resized = calculateChartResize(40, 20, 20, 30, 20);
+        assert.deepEqual(resized, { stitches: 40, rows: 30, width: 20, height: 10 });
+        assert.match(calculateChartResize(10, 10, 20, 30, 200).error, /400 stitches/);
+    });
+    
+    test('an image traces into shades from lightest to darkest', () => {
+        const pixel = (r, g, b, a = 255) => [r, g, b, a];
+        const image = {
+            width: 4,
+            height: 2,
+            data: Uint8ClampedArray.from([
+                ...pixel(0, 0, 0), ...pixel(0, 0, 0), ...pixel(255, 255, 255), ...pixel(0, 0, 0, 0),
+                ...pixel(0, 0, 0), ...pixel(0, 0, 0), ...pixel(250, 250, 250), ...pixel(255, 255, 255)
+            ])
+        };
+        const chart = chartFromPixels(image, 2, 1);
+        assert.deepEqual(chart.cells, [['x', '.']]);
+        assert.deepEqual(chart.palette, { '.': '#fefefe', x: '#000000' });
+    });
+});